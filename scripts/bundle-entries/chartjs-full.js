@@ -0,0 +1,9 @@
+// Chart.js 전체 라이브러리 변형: 모든 컨트롤러/요소/스케일/플러그인 등록 (chart.js/auto 와 같은 구성) + 어댑터가 쓰는 플러그인
+import { Chart, registerables } from 'chart.js';
+import 'chartjs-adapter-date-fns';
+import { CandlestickController, CandlestickElement, OhlcController, OhlcElement } from 'chartjs-chart-financial';
+import { MatrixController, MatrixElement } from 'chartjs-chart-matrix';
+
+Chart.register(...registerables, CandlestickController, CandlestickElement, OhlcController, OhlcElement, MatrixController, MatrixElement);
+
+export default Chart;
@@ -0,0 +1,9 @@
+// ECharts 트리 셰이킹 변형: 벤치마크 기본 타입(line/bar/scatter/candlestick) + 필요한 컴포넌트만 등록
+import * as echarts from 'echarts/core';
+import { LineChart, BarChart, ScatterChart, CandlestickChart } from 'echarts/charts';
+import { GridComponent, TooltipComponent, LegendComponent, DataZoomComponent } from 'echarts/components';
+import { CanvasRenderer } from 'echarts/renderers';
+
+echarts.use([LineChart, BarChart, ScatterChart, CandlestickChart, GridComponent, TooltipComponent, LegendComponent, DataZoomComponent, CanvasRenderer]);
+
+export default echarts;
@@ -0,0 +1,27 @@
+// 목데이터 시드 결정성 확인: 같은 시드는 숫자/문자열 어느 형태로 넘겨도 바이트 단위로 같은 데이터
+// usage: npm run check:seeds  (불일치 시 종료 코드 1)
+import { buildMock, createGenerator, MOCK_TYPES } from '../src/components/mockData.js';
+
+const SEEDS = [0, 1, 42, 123456789];
+const failures = [];
+
+for (const seed of SEEDS) {
+  for (const type of MOCK_TYPES) {
+    if (JSON.stringify(buildMock(type, { seed })) !== JSON.stringify(buildMock(type, { seed: String(seed) }))) {
+      failures.push(`buildMock('${type}') seed ${seed} ≠ '${seed}'`);
+    }
+  }
+  const a = createGenerator(seed);
+  const b = createGenerator(String(seed));
+  const sequence = generator => Array.from({ length: 16 }, () => generator.randInt(0, 1e9)).join(',');
+  if (sequence(a) !== sequence(b)) failures.push(`createGenerator seed ${seed} ≠ '${seed}'`);
+}
+
+// 다른 시드는 다른 데이터
+if (JSON.stringify(buildMock('line', { seed: 1 })) === JSON.stringify(buildMock('line', { seed: 2 }))) {
+  failures.push('seed 1 과 seed 2 의 line 데이터가 같음');
+}
+
+failures.forEach(message => console.error(message));
+console.log(`mock seeds: ${failures.length ? `${failures.length} mismatch` : 'ok'} (${SEEDS.length} seeds × ${MOCK_TYPES.length} types)`);
+process.exitCode = failures.length ? 1 : 0;
@@ -0,0 +1,173 @@
+// 헤드리스 벤치마크 러너: vite preview 로 빌드 결과를 띄우고 헤드리스 Chromium 에서 /benchmark 의 runBenchmark 실행
+// 설정 파일(라이브러리, 타입, 데이터셋 크기, 차트 크기, pixelRatio, 반복 수, 시드, 예산) → JSON/CSV 보고서 기록, 예산 초과 시 종료 코드 1
+//   chartSizes: 프리셋 id (thumbnail / default / panel1080p / wall4k) 또는 { width, height }
+//   warmupRuns: 조합별로 측정 전에 실행하고 결과에 기록하지 않는 회차 수
+//   excludeFirst: 기록된 결과에서 조합별 앞쪽 회차를 요약/예산 계산에서 뺌 (보고서 JSON/CSV 에는 남음, 이전 이름 warmup)
+// usage: npm run benchmark:headless -- [--config benchmark.config.json] [--out dir] [--chromium /path/to/chrome] [--verbose]
+//   (빌드 없이 실행: node scripts/headless-benchmark.js ..., dist 필요)
+//   Chromium 경로: --chromium > 설정 파일 chromium > CHROMIUM_PATH 환경 변수 > Playwright 설치 브라우저
+// 종료 코드: 0 통과, 1 예산 초과 또는 측정 실패 조합, 2 실행 오류
+import { preview } from 'vite';
+import { chromium } from 'playwright-core';
+import { readFile, writeFile, mkdir, access } from 'node:fs/promises';
+import { resolve } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { parseArgs } from 'node:util';
+import { summarize, iqrBounds, isOutlier } from '../src/components/benchmark/stats.js';
+import { serializeRun } from '../src/components/benchmark/runFile.js';
+import { STAT_METRICS, groupKey, libraryLabel, sizeLabel, resultsToCSV, summaryToCSV } from '../src/components/benchmark/report.js';
+
+const root = fileURLToPath(new URL('..', import.meta.url));
+
+const { values: args } = parseArgs({
+  options: {
+    config: { type: 'string', default: 'benchmark.config.json' },
+    out: { type: 'string' },
+    chromium: { type: 'string' },
+    verbose: { type: 'boolean', default: false }
+  }
+});
+
+const STATS = ['mean', 'median', 'min', 'max', 'p90', 'p95'];
+
+async function loadConfig(path) {
+  const config = JSON.parse(await readFile(resolve(root, path), 'utf8'));
+  const budgets = config.budgets || [];
+  budgets.forEach((budget, i) => {
+    if (!STAT_METRICS.some(metric => metric.key === budget.metric)) throw new Error(`budgets[${i}].metric 알 수 없는 지표: ${budget.metric}`);
+    if (budget.stat && !STATS.includes(budget.stat)) throw new Error(`budgets[${i}].stat 은 ${STATS.join('/')} 중 하나여야 합니다`);
+    if (budget.max == null && budget.min == null) throw new Error(`budgets[${i}] 에 max 또는 min 이 필요합니다`);
+  });
+  if (config.pixelRatio != null && !(config.pixelRatio > 0)) throw new Error(`pixelRatio 는 양수여야 합니다: ${config.pixelRatio}`);
+  if (config.warmup != null) {
+    if (config.excludeFirst != null) throw new Error('warmup 은 excludeFirst 의 이전 이름입니다. 하나만 지정하세요');
+    console.warn('warmup 은 excludeFirst 로 이름이 바뀌었습니다 (측정 전 워밍업 실행은 warmupRuns)');
+  }
+  return { ...config, excludeFirst: config.excludeFirst ?? config.warmup ?? 0, budgets };
+}
+
+// 라이브러리/렌더러/타입/데이터셋/차트 크기 별 그룹 (측정 순서 유지, 기록된 앞쪽 excludeFirst 회차 제외)
+function groupResults(results, excludeFirst) {
+  const grouped = new Map();
+  results.forEach(result => {
+    const key = groupKey(result);
+    if (!grouped.has(key)) grouped.set(key, []);
+    grouped.get(key).push(result);
+  });
+  return Array.from(grouped.values()).map(group => group.slice(Math.min(excludeFirst, group.length - 1)));
+}
+
+function summaryRows(groups) {
+  return STAT_METRICS.flatMap(({ key }) => groups.map(group => {
+    const values = group.map(result => result[key]).filter(Number.isFinite);
+    const stats = summarize(values);
+    if (!stats) return null;
+    const bounds = iqrBounds(values);
+    const { library, renderer, chartType, width, height, datasetParams } = group[0];
+    return { library, renderer, chartType, width, height, datasetParams, metric: key, stats, outliers: values.filter(v => isOutlier(v, bounds)).length };
+  }).filter(Boolean));
+}
+
+// 예산 검사: library / renderer / chartType / width / height 를 지정하지 않은 예산은 모든 그룹에 적용
+function checkBudgets(rows, budgets) {
+  return budgets.flatMap(budget => rows
+    .filter(row => row.metric === budget.metric
+      && (!budget.library || row.library === budget.library)
+      && (!budget.renderer || row.renderer === budget.renderer)
+      && (!budget.chartType || row.chartType === budget.chartType)
+      && (budget.width == null || row.width === budget.width)
+      && (budget.height == null || row.height === budget.height))
+    .map(row => {
+      const stat = budget.stat || 'median';
+      const value = row.stats[stat];
+      const exceeded = (budget.max != null && value > budget.max) || (budget.min != null && value < budget.min);
+      return { library: row.library, renderer: row.renderer, chartType: row.chartType, width: row.width, height: row.height, datasetParams: row.datasetParams, metric: budget.metric, stat, value, min: budget.min, max: budget.max, passed: !exceeded };
+    }));
+}
+
+function withTimeout(promise, ms, message) {
+  let timer;
+  return Promise.race([
+    promise,
+    new Promise((_, reject) => { timer = setTimeout(() => reject(new Error(message)), ms); })
+  ]).finally(() => clearTimeout(timer));
+}
+
+async function runInBrowser(url, config) {
+  const executablePath = args.chromium || config.chromium || process.env.CHROMIUM_PATH || undefined;
+  const browser = await chromium.launch({
+    executablePath,
+    headless: true,
+    // performance.memory 정밀 값 + 누수 검사용 gc()
+    args: ['--enable-precise-memory-info', '--js-flags=--expose-gc']
+  });
+  try {
+    // pixelRatio 는 페이지 DPR 자체를 바꿔 모든 라이브러리에 적용 (uPlot 처럼 mount 옵션으로 강제할 수 없는 경우 포함)
+    const page = await browser.newPage({ viewport: { width: 1280, height: 900 }, deviceScaleFactor: config.pixelRatio ?? 1 });
+    page.on('pageerror', error => console.error('[page error]', error.message));
+    page.on('console', message => {
+      if (message.type() === 'error' || args.verbose) console.error(`[page ${message.type()}]`, message.text());
+    });
+    await page.goto(new URL('benchmark?headless', url).href);
+    await page.waitForFunction(() => window.__chartBenchmark, null, { timeout: 30000 });
+    const { libraries, chartTypes, datasets, iterations, seed, measureHover, order, warmupRuns, compareRenderers, chartSizes, pixelRatio } = config;
+    return await withTimeout(
+      page.evaluate(runConfig => window.__chartBenchmark.run(runConfig), {
+        libraries, chartTypes, datasets, iterations, seed, measureHover, order, warmupRuns, compareRenderers, chartSizes, pixelRatio
+      }),
+      config.timeout ?? 30 * 60 * 1000,
+      '벤치마크 시간 초과'
+    );
+  } finally {
+    await browser.close();
+  }
+}
+
+async function main() {
+  const config = await loadConfig(args.config);
+  try {
+    await access(resolve(root, 'dist/index.html'));
+  } catch {
+    throw new Error('dist 가 없습니다. npm run build 후 실행하세요');
+  }
+
+  const server = await preview({ root, logLevel: 'warn', preview: { port: config.port ?? 4173, strictPort: false, open: false } });
+  let run;
+  try {
+    const url = server.resolvedUrls.local[0];
+    console.log(`preview: ${url}`);
+    run = await runInBrowser(url, config);
+  } finally {
+    await server.close();
+  }
+
+  const groups = groupResults(run.results, config.excludeFirst);
+  const rows = summaryRows(groups);
+  const budgets = checkBudgets(rows, config.budgets);
+  const failures = run.skipped.filter(item => item.status === 'ERROR');
+
+  const outDir = resolve(root, args.out || config.outDir || 'benchmark-reports');
+  const prefix = `run-${new Date().toISOString().replace(/[:.]/g, '-')}`;
+  await mkdir(outDir, { recursive: true });
+  await writeFile(resolve(outDir, `${prefix}.json`), JSON.stringify({ ...serializeRun(run), budgets }, null, 2) + '\n');
+  await writeFile(resolve(outDir, `${prefix}.csv`), resultsToCSV(run.results, run.skipped) + '\n');
+  await writeFile(resolve(outDir, `${prefix}-summary.csv`), summaryToCSV(rows) + '\n');
+  console.log(`reports: ${outDir}/${prefix}.{json,csv} + ${prefix}-summary.csv (${run.results.length} samples)`);
+
+  const exceeded = budgets.filter(check => !check.passed);
+  for (const check of exceeded) {
+    const limit = [check.min != null && `min ${check.min}`, check.max != null && `max ${check.max}`].filter(Boolean).join(', ');
+    console.error(`budget exceeded: ${libraryLabel(check)} · ${check.chartType} @ ${sizeLabel(check)} ${check.metric} ${check.stat}=${Math.round(check.value * 100) / 100} (${limit})`);
+  }
+  for (const item of failures) console.error(`measurement failed: ${libraryLabel(item)} · ${item.chartType}`);
+  console.log(`budgets: ${budgets.length - exceeded.length}/${budgets.length} passed`);
+  return exceeded.length || failures.length ? 1 : 0;
+}
+
+main().then(
+  code => { process.exitCode = code; },
+  error => {
+    console.error(error);
+    process.exitCode = 2;
+  }
+);
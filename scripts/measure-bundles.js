@@ -0,0 +1,60 @@
+// 라이브러리별 실제 번들 크기 측정 → public/bundle-sizes.json
+// 어댑터 파일 하나를 엔트리로 빌드 (load() 의 동적 import 까지 한 파일로 인라인) 후 raw / gzip / brotli 크기 기록
+// usage: npm run bundle-sizes  (npm run build 전에 자동 실행)
+import { build, version as viteVersion } from 'vite';
+import { gzipSync, brotliCompressSync } from 'node:zlib';
+import { writeFile, readdir } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+
+const root = fileURLToPath(new URL('..', import.meta.url));
+const manifestPath = fileURLToPath(new URL('../public/bundle-sizes.json', import.meta.url));
+
+// id → 엔트리: 어댑터 레지스트리와 같은 규칙 (adapters/<id>Adapter.js, 파일 이름 순), 변형은 별도 키
+const ADAPTER_DIR = 'src/components/adapters';
+const ENTRIES = Object.fromEntries((await readdir(fileURLToPath(new URL(`../${ADAPTER_DIR}`, import.meta.url))))
+  .filter(name => name.endsWith('Adapter.js'))
+  .sort()
+  .map(name => [name.slice(0, -'Adapter.js'.length), `${ADAPTER_DIR}/${name}`]));
+const VARIANTS = {
+  'echarts-core': { entry: 'scripts/bundle-entries/echarts-core.js', label: 'ECharts (echarts/core, line/bar/scatter/candlestick)' },
+  'chartjs-full': { entry: 'scripts/bundle-entries/chartjs-full.js', label: 'Chart.js (전체 registerables 등록)' }
+};
+
+// 앱 빌드와 같은 설정(esbuild minify, 기본 타깃)으로 메모리 내 빌드
+async function measure(entry) {
+  const result = await build({
+    root,
+    configFile: false,
+    logLevel: 'warn',
+    build: {
+      write: false,
+      emptyOutDir: false,
+      rollupOptions: {
+        input: entry,
+        preserveEntrySignatures: 'strict', // 엔트리 export(어댑터 객체)를 유지해야 load() 의 동적 import 가 포함됨
+        output: { inlineDynamicImports: true }
+      }
+    }
+  });
+  const outputs = (Array.isArray(result) ? result : [result]).flatMap(r => r.output);
+  const files = outputs.map(file => {
+    const content = Buffer.from(file.type === 'chunk' ? file.code : file.source);
+    return { name: file.fileName, raw: content.length, gzip: gzipSync(content, { level: 9 }).length, brotli: brotliCompressSync(content).length };
+  });
+  const sum = key => files.reduce((total, file) => total + file[key], 0);
+  return { raw: sum('raw'), gzip: sum('gzip'), brotli: sum('brotli'), files };
+}
+
+const manifest = { generatedAt: new Date().toISOString(), vite: viteVersion, unit: 'bytes', libraries: {}, variants: {} };
+
+for (const [id, entry] of Object.entries(ENTRIES)) {
+  manifest.libraries[id] = await measure(entry);
+  console.log(`${id}: ${(manifest.libraries[id].gzip / 1024).toFixed(1)} KB gzip`);
+}
+for (const [id, { entry, label }] of Object.entries(VARIANTS)) {
+  manifest.variants[id] = { label, ...(await measure(entry)) };
+  console.log(`${id}: ${(manifest.variants[id].gzip / 1024).toFixed(1)} KB gzip`);
+}
+
+await writeFile(manifestPath, JSON.stringify(manifest, null, 2) + '\n');
+console.log(`→ ${manifestPath}`);
@@ -7,6 +7,8 @@ import EChartsDemo from './components/EChartsDemo';
 import UPlotDemo from './components/UPlotDemo';
 import ChartjsDemo from './components/ChartjsDemo';
 import PerformanceBenchmark from './components/PerformanceBenchmark';
+import AdapterDemo from './components/AdapterDemo';
+import { listAdapters } from './components/adapters';
 
 function Home() {
   return (
@@ -24,6 +26,7 @@ function Home() {
   );
 }
 
+// 전용 데모가 있는 라이브러리 (없으면 어댑터 기반 AdapterDemo 사용)
 const LIBS = {
   apex: ApexDemo,
   echarts: EChartsDemo,
@@ -34,19 +37,20 @@ const LIBS = {
 function UnifiedViewer() {
   const [lib, setLib] = useState('echarts');
   const Demo = LIBS[lib];
+  const adapters = listAdapters();
   return (
     <div style={{padding:'1rem', fontFamily:'sans-serif'}}>
       <div style={{display:'flex', gap:12, alignItems:'center', marginBottom:12}}>
         <h2 style={{margin:0}}>Unified Chart Viewer</h2>
         <label>Chart Library
           <select value={lib} onChange={e=> setLib(e.target.value)} style={{marginLeft:8}}>
-            {Object.keys(LIBS).map(k=> <option key={k} value={k}>{k}</option>)}
+            {adapters.map(a=> <option key={a.id} value={a.id}>{a.label}</option>)}
           </select>
         </label>
         <Link to="/" style={{marginLeft:'auto'}}>Home</Link>
       </div>
       <div style={{border:'1px solid #ddd', borderRadius:6, padding:8, background:'#fff'}}>
-        <Demo />
+        {Demo ? <Demo /> : <AdapterDemo library={lib} />}
       </div>
       <div style={{marginTop:20, fontSize:12, color:'#555', lineHeight:1.5}}>
         <strong>성능 비교 지표 아이디어</strong><br/>
@@ -0,0 +1,77 @@
+import React, { useRef, useEffect, useState } from 'react';
+import { getAdapter, supportsType } from './adapters';
+
+// 어댑터 기반 공통 차트 컴포넌트 (데모 / UnifiedViewer 공용)
+// 같은 라이브러리+타입이면 update, 아니면 destroy 후 mount, 너비는 컨테이너를 따라감 (ResizeObserver)
+export default function AdapterChart({ library, type, raw, height = 400 }) {
+  const containerRef = useRef(null);
+  const handleRef = useRef(null);
+  const queueRef = useRef(Promise.resolve()); // mount/update/resize/destroy 순서 보장 (모두 async)
+  const widthRef = useRef(0); // 차트에 마지막으로 적용한 너비
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const supported = !!raw && supportsType(library, type);
+    queueRef.current = queueRef.current.then(async () => {
+      const handle = handleRef.current;
+      if (supported && handle && handle.library === library && handle.type === type) {
+        await getAdapter(library).update(handle, raw);
+        setError(null);
+        return;
+      }
+      if (handle) getAdapter(handle.library).destroy(handle);
+      handleRef.current = null;
+      const el = containerRef.current;
+      if (!supported || !el) return;
+      const adapter = getAdapter(library);
+      await adapter.load();
+      widthRef.current = el.clientWidth;
+      handleRef.current = await adapter.mount(el, { type, raw, width: widthRef.current, height, interactive: true });
+      setError(null);
+    }).catch(err => {
+      console.error(`차트 생성 오류 (${library} - ${type}):`, err);
+      setError(err.message || String(err));
+    });
+  }, [library, type, raw, height]);
+
+  // 컨테이너 크기 변화 반응 (창 크기뿐 아니라 사이드바/그리드 등 레이아웃 변경 포함)
+  // 마운트 중 바뀐 크기도 놓치지 않도록 큐 뒤에서 그 시점의 너비로 맞춤, 숨김(0) / 같은 너비는 생략
+  useEffect(() => {
+    const el = containerRef.current;
+    if (!el) return;
+    const observer = new ResizeObserver(() => {
+      queueRef.current = queueRef.current.then(async () => {
+        const handle = handleRef.current;
+        const width = el.clientWidth;
+        if (!handle || !width || width === widthRef.current) return;
+        widthRef.current = width;
+        await getAdapter(handle.library).resize(handle, { width, height });
+      }).catch(err => console.error(`차트 리사이즈 오류 (${library} - ${type}):`, err));
+    });
+    observer.observe(el);
+    return () => observer.disconnect();
+  }, [library, type, height]);
+
+  // 언마운트 시 정리
+  useEffect(() => () => {
+    queueRef.current = queueRef.current.then(() => {
+      const handle = handleRef.current;
+      if (handle) getAdapter(handle.library).destroy(handle);
+      handleRef.current = null;
+    });
+  }, []);
+
+  const supported = supportsType(library, type);
+
+  return (
+    <div>
+      {!supported && (
+        <div style={{padding:'1rem', border:'1px solid #f99', background:'#fff5f5', borderRadius:6}}>
+          <strong>{type}</strong> 타입은 {library} 어댑터에서 지원되지 않습니다.
+        </div>
+      )}
+      {error && <div style={{padding:8, background:'#fff5f5', border:'1px solid #f99', marginBottom:12}}>차트 생성 실패: {error}</div>}
+      <div ref={containerRef} style={{width:'100%', height, position:'relative', display: supported ? 'block' : 'none'}} />
+    </div>
+  );
+}
@@ -0,0 +1,38 @@
+import React, { useState, useMemo } from 'react';
+import { buildMock } from './mockData';
+import AdapterChart from './AdapterChart';
+import { getAdapter } from './adapters';
+
+// 전용 데모가 없는 라이브러리용 범용 데모 (생성기 기본 파라미터 사용)
+export default function AdapterDemo({ library }) {
+  const adapter = getAdapter(library);
+  const types = adapter.capabilities.types;
+  const [dataset, setDataset] = useState(types[0]);
+  const [regenKey, setRegenKey] = useState(0);
+  const [seed, setSeed] = useState(''); // 비우면 매번 랜덤
+
+  const type = types.includes(dataset) ? dataset : types[0];
+  // eslint-disable-next-line react-hooks/exhaustive-deps
+  const raw = useMemo(()=> buildMock(type, { seed }), [type, seed, regenKey]);
+
+  return (
+    <div style={{padding:'1rem', fontFamily:'sans-serif'}}>
+      <h2>{adapter.label} Demo</h2>
+      <div style={{display:'flex', flexWrap:'wrap', gap:'0.75rem', alignItems:'center', marginBottom:'0.75rem'}}>
+        <label>Dataset
+          <select value={type} onChange={e=>setDataset(e.target.value)} style={{marginLeft:8}}>
+            {types.map(d=> <option key={d} value={d}>{d}</option>)}
+          </select>
+        </label>
+        <label style={{display:'flex', alignItems:'center', gap:4}}>
+          seed
+          <input value={seed} onChange={e=> setSeed(e.target.value)} placeholder="random" style={{width:80}} />
+        </label>
+        <button onClick={()=> setRegenKey(k=>k+1)}>Regenerate</button>
+      </div>
+      <div style={{border:'1px solid #ddd'}}>
+        <AdapterChart library={library} type={type} raw={raw} height={520} />
+      </div>
+    </div>
+  );
+}
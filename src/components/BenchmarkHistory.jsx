@@ -0,0 +1,103 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { listRuns, updateRun, deleteRun } from './benchmark/history';
+
+// 저장된 벤치마크 실행 목록 (이름/태그 편집, 삭제, 결과 불러오기)
+// refreshKey 가 바뀌면 목록 다시 읽음 (새 실행 저장 후)
+export default function BenchmarkHistory({ refreshKey, activeId, onLoad }) {
+  const [runs, setRuns] = useState([]);
+  const [error, setError] = useState(null); // 목록 읽기 / 편집 / 삭제 실패 문구
+
+  // IndexedDB 호출 실패 → 표 위에 문구 표시 (다음 성공한 목록 읽기에서 지움)
+  const fail = action => e => {
+    console.warn(`실행 기록 ${action} 실패:`, e);
+    setError(`실행 기록 ${action} 실패: ${e.message || String(e)}`);
+  };
+
+  const refresh = useCallback(() => listRuns().then(list => {
+    setRuns(list);
+    setError(null);
+  }).catch(e => setError(`기록을 읽을 수 없습니다: ${e.message || String(e)}`)), []);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh, refreshKey]);
+
+  const rename = async (run, name) => {
+    if (name === run.name) return;
+    await updateRun(run.id, { name }).then(refresh, fail('이름 변경'));
+  };
+
+  const retag = async (run, value) => {
+    const tags = value.split(',').map(tag => tag.trim()).filter(Boolean);
+    if (tags.join(',') === (run.tags || []).join(',')) return;
+    await updateRun(run.id, { tags }).then(refresh, fail('태그 변경'));
+  };
+
+  const remove = async (run) => {
+    if (!window.confirm(`"${run.name}" 기록을 삭제할까요?`)) return;
+    await deleteRun(run.id).then(refresh, fail('삭제'));
+  };
+
+  const cell = { border: '1px solid #ddd', padding: '0.25rem 0.5rem' };
+
+  return (
+    <div style={{ 
+      background: '#f9f9f9', 
+      padding: '1rem', 
+      borderRadius: '8px',
+      border: '1px solid #ddd',
+      marginBottom: '2rem'
+    }}>
+      <h3 style={{ marginTop: 0 }}>🗄 실행 기록 ({runs.length})</h3>
+      {error && <div style={{ color: '#dc2626', fontSize: '0.875rem', marginBottom: '0.5rem' }}>{error}</div>}
+      {runs.length === 0 ? (
+        <div style={{ fontSize: '0.875rem', color: '#666' }}>저장된 실행이 없습니다. 벤치마크를 실행하면 자동으로 저장됩니다.</div>
+      ) : (
+        <div style={{ maxHeight: '260px', overflowY: 'auto' }}>
+          <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.8rem' }}>
+            <thead>
+              <tr style={{ background: '#f0f0f0' }}>
+                <th style={cell}>이름</th>
+                <th style={cell}>태그 (쉼표 구분)</th>
+                <th style={cell}>실행 시각</th>
+                <th style={cell}>라이브러리 / 타입</th>
+                <th style={cell}>측정 수</th>
+                <th style={cell}></th>
+              </tr>
+            </thead>
+            <tbody>
+              {runs.map(run => (
+                <tr key={run.id} style={{ background: run.id === activeId ? '#eef6ff' : 'transparent' }}>
+                  <td style={cell}>
+                    <input
+                      key={`name-${run.id}-${run.name}`}
+                      defaultValue={run.name}
+                      onBlur={(e) => rename(run, e.target.value.trim() || run.name)}
+                      style={{ width: '100%', padding: '0.125rem' }}
+                    />
+                  </td>
+                  <td style={cell}>
+                    <input
+                      key={`tags-${run.id}-${(run.tags || []).join(',')}`}
+                      defaultValue={(run.tags || []).join(', ')}
+                      onBlur={(e) => retag(run, e.target.value)}
+                      placeholder="baseline, m1 ..."
+                      style={{ width: '100%', padding: '0.125rem' }}
+                    />
+                  </td>
+                  <td style={cell}>{new Date(run.createdAt).toLocaleString()}</td>
+                  <td style={{ ...cell, fontSize: '0.75rem' }}>{run.libraries.join(', ')} / {run.chartTypes.join(', ')}</td>
+                  <td style={cell}>{run.resultCount}{run.skippedCount > 0 && ` (+${run.skippedCount} N/A·ERROR)`}</td>
+                  <td style={{ ...cell, whiteSpace: 'nowrap' }}>
+                    <button onClick={() => onLoad(run.id)} disabled={run.id === activeId} style={{ marginRight: '0.25rem' }}>불러오기</button>
+                    <button onClick={() => remove(run)}>삭제</button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -1,33 +1,73 @@
-import React, { useState, useRef, useEffect } from 'react';
-import { buildMock } from './mockData';
-
-// 차트 라이브러리 임포트
-import Chart from 'chart.js/auto';
-import * as echarts from 'echarts';
-import uPlot from 'uplot';
-import 'uplot/dist/uPlot.min.css';
-
-// ApexCharts 동적 임포트를 위한 컴포넌트
-let ApexCharts = null;
-if (typeof window !== 'undefined') {
-  import('apexcharts').then(module => {
-    ApexCharts = module.default;
-  });
-}
+import React, { useState, useRef, useMemo, useEffect } from 'react';
+import { buildMock, countPoints, createLineStream, MOCK_TYPES } from './mockData';
+import { getAdapter, listAdapters, supportsType, supportsZoom, supportsStream, isLoaded, getLoadTime, renderersOf, supportsPixelRatio } from './adapters';
+import { summarize, iqrBounds, isOutlier } from './benchmark/stats';
+import { SWEEP_TYPES, sweepSizes, sweepRangeError, runSweep, paramsForPoints } from './benchmark/sweep';
+import { measureHoverLatency, paintBarrier } from './benchmark/interaction';
+import { ZOOM_TYPES, xExtent, zoomPanSteps, measureZoomPan } from './benchmark/zoom';
+import { resizeWidths, measureResize } from './benchmark/resize';
+import { runStream } from './benchmark/streaming';
+import { runLeakCheck } from './benchmark/leak';
+import { dashboardLayout, runDashboardLoad } from './benchmark/dashboard';
+import { loadBundleSizes, bundleSizeKB } from './benchmark/bundleSizes';
+import { observeMainThread } from './benchmark/mainThread';
+import ResultChart from './ResultChart';
+import BenchmarkHistory from './BenchmarkHistory';
+import RunComparison from './RunComparison';
+import ResultsDashboard from './ResultsDashboard';
+import { saveRun, getRun } from './benchmark/history';
+import { collectEnvironment } from './benchmark/environment';
+import { serializeRun, parseRunFile } from './benchmark/runFile';
+import { createRunControl, estimateRemaining, formatDuration } from './benchmark/runControl';
+import { EXECUTION_ORDERS, buildSchedule, orderEffect } from './benchmark/schedule';
+import { STAT_METRICS, libraryLabel, sizeLabel, groupKey, resultsToCSV, summaryToCSV } from './benchmark/report';
+
+// 지원하는 차트 라이브러리 (어댑터 레지스트리 기준)
+const CHART_LIBRARIES = listAdapters().map(adapter => adapter.id);
+
+// 측정용 차트 크기 (스윕/줌/스트리밍/누수 검사/리사이즈 높이 및 기본 벤치마크)
+const CHART_WIDTH = 800;
+const CHART_HEIGHT = 400;
 
-// 지원하는 차트 라이브러리
-const CHART_LIBRARIES = ['apex', 'echarts', 'uplot', 'chartjs'];
+// 전체 벤치마크 차트 크기 프리셋 (픽셀 수에 따른 라이브러리별 확장성 비교, custom 은 직접 입력)
+const CHART_SIZES = [
+  { id: 'thumbnail', label: '썸네일', width: 320, height: 180 },
+  { id: 'default', label: '기본', width: CHART_WIDTH, height: CHART_HEIGHT },
+  { id: 'panel1080p', label: '1080p 패널', width: 1920, height: 1080 },
+  { id: 'wall4k', label: '4K 월', width: 3840, height: 2160 }
+];
 
-// 측정할 차트 타입들
-const CHART_TYPES = ['line', 'bar', 'scatter'];
+// 강제 devicePixelRatio 선택지 ('' = 브라우저 기본)
+const PIXEL_RATIOS = ['', 1, 1.5, 2, 3];
+
+// 측정할 차트 타입들 (목데이터 18종 전체, 라이브러리별 지원 여부는 어댑터 capabilities 기준)
+const CHART_TYPES = MOCK_TYPES;
 
 // 기본 데이터셋 크기
 const DEFAULT_DATASETS = {
   line: { points: 1000, series: 3 },
   bar: { categories: 50, series: 3 },
-  scatter: { points: 2000, series: 2 }
+  pie: { slices: 12 },
+  scatter: { points: 2000, clusters: 3 },
+  candlestick: { points: 500 },
+  radar: { axes: 8, series: 5 },
+  boxplot: { groups: 20, samples: 100 },
+  heatmap: { x: 50, y: 20 },
+  graph: { nodes: 200, extraLinks: 200 },
+  tree: { depth: 4, breadth: 4 },
+  treemap: { depth: 4, breadth: 4 },
+  sunburst: { depth: 4, breadth: 4 },
+  sankey: { nodes: 20, links: 40 },
+  funnel: { stages: 8 },
+  gauge: { min: 0, max: 100 },
+  pictorialBar: { categories: 20 },
+  calendar: { days: 365 },
+  matrix: { x: 50, y: 20 }
 };
 
+// 라이브러리에서 해당 타입을 지원하지 않는 라이브러리 목록 (UI 표시용)
+const unsupportedLibraries = (chartType) => CHART_LIBRARIES.filter(lib => !supportsType(lib, chartType));
+
 // 성능 측정 결과 저장용
 const PerformanceResult = {
   library: '',
@@ -35,7 +75,7 @@ const PerformanceResult = {
   iteration: 0,
   renderTime: 0,
   domNodes: 0,
-  bundleSize: 0, // 정적 값
+  bundleSize: 0, // KB gzip (빌드 매니페스트)
   dataProcessingTime: 0,
   memoryUsage: 0,
   fps: 0,
@@ -48,14 +88,51 @@ const PerformanceResult = {
 
 export default function PerformanceBenchmark() {
   const [iterations, setIterations] = useState(10);
+  const [seed, setSeed] = useState('42'); // 같은 시드 → 모든 라이브러리가 동일 데이터로 측정
   const [datasets, setDatasets] = useState({ ...DEFAULT_DATASETS });
-  const [selectedLibraries, setSelectedLibraries] = useState(['apex', 'echarts', 'uplot', 'chartjs']);
+  const [selectedLibraries, setSelectedLibraries] = useState(CHART_LIBRARIES);
   const [selectedChartTypes, setSelectedChartTypes] = useState(['line', 'bar', 'scatter']);
   const [isRunning, setIsRunning] = useState(false);
+  const [runState, setRunState] = useState('idle'); // 전체 벤치마크 실행 상태: idle | running | paused | stopping
   const [results, setResults] = useState([]);
+  const [skipped, setSkipped] = useState([]); // 미지원(N/A) / 측정 실패 조합
+  const [excludeFirst, setExcludeFirst] = useState(0); // 이미 기록된 결과에서 통계에 빼는 앞쪽 회차 수 (사후 필터, warmupRuns 와 별개)
+  const [rejectOutliers, setRejectOutliers] = useState(false); // IQR 이상치 제거 후 통계
+  const [measureHover, setMeasureHover] = useState(true); // 합성 mousemove 로 tooltip/hover 응답 지연 측정
+  const [executionOrder, setExecutionOrder] = useState('sequential'); // 측정 실행 순서 (순서 편향 제거용)
+  const [warmupRuns, setWarmupRuns] = useState(1); // 조합별 워밍업 실행 수 (측정 전에 실행하고 결과에 기록하지 않음)
+  const [compareRenderers, setCompareRenderers] = useState(false); // 여러 렌더러를 지원하는 라이브러리(ECharts canvas/svg)는 렌더러별로 측정
+  const [chartSizes, setChartSizes] = useState(['default']); // 측정할 차트 크기 프리셋 id (custom 포함)
+  const [customSize, setCustomSize] = useState({ width: 1280, height: 720 });
+  const [pixelRatio, setPixelRatio] = useState(''); // 강제 DPR ('' = window.devicePixelRatio 그대로)
+  const [coldStarts, setColdStarts] = useState([]); // 라이브러리별 동적 import / 첫 마운트(cold) 시간
+  const [statMetric, setStatMetric] = useState('renderTime');
+  const [sweepConfig, setSweepConfig] = useState({ chartType: 'line', start: 1000, end: 1000000, factor: 10, budget: 1000, repeats: 1 });
+  const [sweepReport, setSweepReport] = useState(null);
+  const [zoomConfig, setZoomConfig] = useState({ chartType: 'line', points: 100000, steps: 20, repeats: 3 });
+  const [zoomReport, setZoomReport] = useState(null);
+  const [resizeConfig, setResizeConfig] = useState({ chartType: 'line', from: 400, to: 1200, steps: 20, repeats: 3 });
+  const [resizeReport, setResizeReport] = useState(null);
+  const [streamConfig, setStreamConfig] = useState({ windows: '1000, 10000, 100000', pointsPerTick: 10, tickMs: 50, duration: 5000 });
+  const [streamReport, setStreamReport] = useState(null);
+  const [leakConfig, setLeakConfig] = useState({ cycles: 200, threshold: 1 }); // threshold: 힙 증가 기울기 KB/회
+  const [leakReport, setLeakReport] = useState(null);
+  const [dashboardConfig, setDashboardConfig] = useState({ charts: 24, columns: 4, chartWidth: 300, chartHeight: 200, viewportHeight: 600, scrollStep: 40, lazy: true });
+  const [dashboardReport, setDashboardReport] = useState(null);
   const [currentProgress, setCurrentProgress] = useState({ library: '', chart: '', iteration: 0 });
+  const [bundleManifest, setBundleManifest] = useState(null); // 빌드 시 측정한 번들 크기
+  const [loadedRunId, setLoadedRunId] = useState(null); // 현재 표시 중인 저장 실행
+  const [historyVersion, setHistoryVersion] = useState(0); // 저장 후 기록 목록 갱신용
+  const [importError, setImportError] = useState(null);
   
   const chartContainer = useRef(null);
+  const runControlRef = useRef(null); // 진행 중인 전체 벤치마크의 일시정지/중지 제어
+
+  useEffect(() => {
+    loadBundleSizes().then(setBundleManifest);
+    // 페이지 이동 시 진행 중인 측정 중지
+    return () => runControlRef.current?.cancel();
+  }, []);
 
   // 데이터셋 파라미터 변경 핸들러
   const updateDatasetParam = (chartType, param, value) => {
@@ -155,7 +232,7 @@ export default function PerformanceBenchmark() {
       try {
         fcpObserver.observe({ entryTypes: ['paint'] });
         lcpObserver.observe({ entryTypes: ['largest-contentful-paint'] });
-      } catch (e) {
+      } catch {
         console.warn('Web Vitals measurement not supported');
       }
 
@@ -167,627 +244,121 @@ export default function PerformanceBenchmark() {
     });
   };
 
-  // 단일 차트 성능 측정
-  const measureSingleChart = async (library, chartType, datasetParams) => {
+  // 측정 컨테이너 크기 지정 (생략 시 기본 크기로 복원, JSX 스타일 값은 고정이라 리렌더링으로 되돌아가지 않음)
+  // (측정 도중 페이지를 떠나 컨테이너가 없으면 무시)
+  const sizeChartContainer = (width = `${CHART_WIDTH}px`, height = `${CHART_HEIGHT}px`) => {
+    if (!chartContainer.current) return;
+    chartContainer.current.style.width = width;
+    chartContainer.current.style.height = height;
+  };
+
+  // 단일 차트 성능 측정 (라이브러리별 차트 구성은 어댑터가 담당)
+  // hover: 상호작용 지연 측정 여부 (스윕처럼 렌더링만 볼 때는 생략), seed: 목데이터 시드 (헤드리스 실행 설정 등)
+  // renderer: 어댑터 capabilities.renderers 중 하나 (생략 시 라이브러리 기본 렌더러)
+  // size: 차트 크기 { width, height }, pixelRatio: 강제 DPR (capabilities.pixelRatio 어댑터만 적용, 나머지는 브라우저 DPR 로 기록)
+  const measureSingleChart = async (library, chartType, datasetParams, {
+    hover = measureHover, seed: dataSeed = seed, renderer = renderersOf(library)[0],
+    size = { width: CHART_WIDTH, height: CHART_HEIGHT }, pixelRatio = null
+  } = {}) => {
+    if (!chartContainer.current) return null;
+
+    const adapter = getAdapter(library);
+    // 라이브러리 로드는 측정 대상에서 제외 (첫 로드면 이번 마운트가 cold start)
+    const cold = !isLoaded(library);
+    await adapter.load();
+    // 로드를 기다리는 동안 페이지를 떠났으면 측정 중단 (스윕 등 실행 제어가 없는 모드는 실패 회차로 끝남)
     if (!chartContainer.current) return null;
 
-    // 컨테이너 초기화
+    // 컨테이너 초기화 (측정 크기에 맞춤, 실행 종료 후 기본 크기로 복원)
     chartContainer.current.innerHTML = '';
+    sizeChartContainer(`${size.width}px`, `${size.height}px`);
+    const appliedPixelRatio = pixelRatio && supportsPixelRatio(library) ? pixelRatio : window.devicePixelRatio;
     
     const startMemory = measureMemory();
-    const startTime = performance.now();
+    let handle = null;
+    let mainThread = null;
     
     try {
       // 데이터 생성 시간 측정
       const dataStartTime = performance.now();
-      let mockData = null;
-      try {
-        const rawData = buildMock(chartType, datasetParams);
-        
-        // 차트 타입별로 데이터 구조 변환
-        switch (chartType) {
-          case 'line':
-            // generateLine이 반환하는 구조: [{ name: 'L1', data: [[timestamp, value], ...] }, ...]
-            // 필요한 구조: [value1, value2, value3, ...]
-            if (Array.isArray(rawData) && rawData[0]?.data) {
-              mockData = rawData.flatMap(series => series.data.map(point => point[1])); // value만 추출
-            } else {
-              mockData = [];
-            }
-            break;
-          case 'bar':
-            // generateBar가 반환하는 구조: { categories: [...], series: [{ name: 'S1', data: [...] }, ...] }
-            // 필요한 구조: [value1, value2, value3, ...]
-            if (rawData?.series) {
-              mockData = rawData.series.flatMap(series => series.data);
-            } else {
-              mockData = [];
-            }
-            break;
-          case 'scatter':
-            // generateScatter가 반환하는 구조: [[x, y], [x, y], ...]
-            // 필요한 구조: [value1, value2, value3, ...]
-            if (Array.isArray(rawData)) {
-              mockData = rawData.map(point => point[1]); // y값만 추출
-            } else {
-              mockData = [];
-            }
-            break;
-          default:
-            mockData = Array.isArray(rawData) ? rawData : [];
-        }
-        
-        console.log(`${library} - ${chartType}: 생성된 데이터 길이 = ${mockData?.length}`);
-      } catch (dataError) {
-        console.warn(`데이터 생성 실패 (${library} - ${chartType}):`, dataError);
-        mockData = Array.from({ length: datasetParams.points || 100 }, () => Math.random() * 100); // 기본 데이터로 대체
-      }
+      // 데모와 동일하게 생성기 원본 구조 그대로 사용 (시간축 타임스탬프, 산점도 X/Y 보존)
+      const rawData = buildMock(chartType, { ...datasetParams, seed: dataSeed });
       const dataProcessingTime = performance.now() - dataStartTime;
+      const dataPoints = countPoints(chartType, rawData);
 
-      let chartInstance = null;
+      // 마운트 ~ 업데이트 구간의 long task / 최장 프레임 관찰
+      mainThread = observeMainThread();
       
-      // 라이브러리별 차트 생성
+      // 어댑터로 차트 생성: 라이브러리 렌더 완료 신호 → 페인트 배리어까지 (time-to-paint)
+      const startTime = performance.now();
       try {
-        switch (library) {
-          case 'apex':
-            if (ApexCharts) {
-              // ApexCharts 차트 타입별 설정
-              let apexConfig = {};
-              if (mockData?.length) {
-                switch (chartType) {
-                  case 'line':
-                    // 시리즈 개수만큼 데이터 생성
-                    const seriesCount = datasetParams.series || 1;
-                    const totalPoints = mockData.length;
-                    const pointsPerSeries = Math.floor(totalPoints / seriesCount);
-                    
-                    console.log(`ApexCharts Line: 총 데이터 ${totalPoints}개, 시리즈 ${seriesCount}개, 시리즈당 ${pointsPerSeries}개`);
-                    
-                    apexConfig = {
-                      chart: { type: 'line', height: 400 },
-                      series: Array.from({ length: seriesCount }, (_, i) => ({
-                        name: `Series ${i + 1}`,
-                        data: mockData.slice(i * pointsPerSeries, (i + 1) * pointsPerSeries)
-                      })),
-                      xaxis: { 
-                        categories: Array.from({ length: pointsPerSeries }, (_, i) => `Point${i}`),
-                        title: { text: 'X Axis' }
-                      },
-                      yaxis: { title: { text: 'Value' } },
-                      title: { text: `ApexCharts Line (${seriesCount} series, ${pointsPerSeries} points each)` }
-                    };
-                    break;
-                  case 'bar':
-                    const barSeriesCount = datasetParams.series || 1;
-                    const barCategoriesCount = datasetParams.categories || 20;
-                    const barTotalPoints = mockData.length;
-                    const barPointsPerSeries = Math.floor(barTotalPoints / barSeriesCount);
-                    
-                    console.log(`ApexCharts Bar: 총 데이터 ${barTotalPoints}개, 시리즈 ${barSeriesCount}개, 카테고리 ${barCategoriesCount}개`);
-                    
-                    apexConfig = {
-                      chart: { type: 'bar', height: 400 },
-                      series: Array.from({ length: barSeriesCount }, (_, i) => ({
-                        name: `Series ${i + 1}`,
-                        data: mockData.slice(i * barPointsPerSeries, (i + 1) * barPointsPerSeries).slice(0, barCategoriesCount)
-                      })),
-                      xaxis: { 
-                        categories: Array.from({ length: barCategoriesCount }, (_, i) => `Cat${i}`),
-                        title: { text: 'Categories' }
-                      },
-                      yaxis: { title: { text: 'Value' } },
-                      title: { text: `ApexCharts Bar (${barSeriesCount} series, ${barCategoriesCount} categories)` }
-                    };
-                    break;
-                  case 'scatter':
-                    const scatterSeriesCount = datasetParams.series || 1;
-                    const scatterTotalPoints = mockData.length;
-                    const scatterPointsPerSeries = Math.floor(scatterTotalPoints / scatterSeriesCount);
-                    
-                    console.log(`ApexCharts Scatter: 총 데이터 ${scatterTotalPoints}개, 시리즈 ${scatterSeriesCount}개, 시리즈당 ${scatterPointsPerSeries}개`);
-                    
-                    apexConfig = {
-                      chart: { type: 'scatter', height: 400 },
-                      series: Array.from({ length: scatterSeriesCount }, (_, i) => ({
-                        name: `Series ${i + 1}`,
-                        data: mockData.slice(i * scatterPointsPerSeries, (i + 1) * scatterPointsPerSeries)
-                          .map((value, index) => ({ x: index, y: value }))
-                      })),
-                      title: { text: `ApexCharts Scatter (${scatterSeriesCount} series, ${scatterPointsPerSeries} points each)` }
-                    };
-                    break;
-                  default:
-                    apexConfig = {
-                      chart: { type: 'line', height: 400 },
-                      series: [{ name: 'Series', data: mockData.slice(0, 100) }],
-                      xaxis: { categories: Array.from({ length: Math.min(100, mockData.length) }, (_, i) => i) }
-                    };
-                }
-              } else {
-                apexConfig = {
-                  chart: { type: 'line', height: 400 },
-                  series: [],
-                  xaxis: { categories: [] }
-                };
-              }
-              chartInstance = new ApexCharts(chartContainer.current, apexConfig);
-              await chartInstance.render();
-            }
-            break;
-            
-          case 'echarts':
-            // 기존 ECharts 인스턴스 완전 제거
-            const existingInstance = echarts.getInstanceByDom(chartContainer.current);
-            if (existingInstance) {
-              existingInstance.dispose();
-            }
-            
-            // 새 인스턴스 생성
-            chartInstance = echarts.init(chartContainer.current);
-            
-            // 차트 타입별 옵션 생성
-            let echartsOption = {};
-            if (mockData?.length) {
-              switch (chartType) {
-                case 'line':
-                  const seriesCount = datasetParams.series || 1;
-                  const totalPoints = mockData.length;
-                  const pointsPerSeries = Math.floor(totalPoints / seriesCount);
-                  
-                  console.log(`ECharts Line: 총 데이터 ${totalPoints}개, 시리즈 ${seriesCount}개, 시리즈당 ${pointsPerSeries}개`);
-                  
-                  echartsOption = {
-                    title: { text: `ECharts Line (${seriesCount} series, ${pointsPerSeries} points each)` },
-                    xAxis: { 
-                      type: 'category', 
-                      data: Array.from({ length: pointsPerSeries }, (_, i) => `Point${i}`),
-                      name: 'X Axis'
-                    },
-                    yAxis: { type: 'value', name: 'Value' },
-                    legend: { data: Array.from({ length: seriesCount }, (_, i) => `Series ${i + 1}`) },
-                    series: Array.from({ length: seriesCount }, (_, i) => ({
-                      name: `Series ${i + 1}`,
-                      type: 'line',
-                      data: mockData.slice(i * pointsPerSeries, (i + 1) * pointsPerSeries)
-                    }))
-                  };
-                  break;
-                case 'bar':
-                  const barSeriesCount = datasetParams.series || 1;
-                  const barCategoriesCount = datasetParams.categories || 20;
-                  const barTotalPoints = mockData.length;
-                  const barPointsPerSeries = Math.floor(barTotalPoints / barSeriesCount);
-                  
-                  console.log(`ECharts Bar: 총 데이터 ${barTotalPoints}개, 시리즈 ${barSeriesCount}개, 카테고리 ${barCategoriesCount}개`);
-                  
-                  echartsOption = {
-                    title: { text: `ECharts Bar (${barSeriesCount} series, ${barCategoriesCount} categories)` },
-                    xAxis: { 
-                      type: 'category', 
-                      data: Array.from({ length: barCategoriesCount }, (_, i) => `Cat${i}`),
-                      name: 'Categories'
-                    },
-                    yAxis: { type: 'value', name: 'Value' },
-                    legend: { data: Array.from({ length: barSeriesCount }, (_, i) => `Series ${i + 1}`) },
-                    series: Array.from({ length: barSeriesCount }, (_, i) => ({
-                      name: `Series ${i + 1}`,
-                      type: 'bar',
-                      data: mockData.slice(i * barPointsPerSeries, (i + 1) * barPointsPerSeries).slice(0, barCategoriesCount)
-                    }))
-                  };
-                  break;
-                case 'scatter':
-                  const scatterSeriesCount = datasetParams.series || 1;
-                  const scatterTotalPoints = mockData.length;
-                  const scatterPointsPerSeries = Math.floor(scatterTotalPoints / scatterSeriesCount);
-                  
-                  console.log(`ECharts Scatter: 총 데이터 ${scatterTotalPoints}개, 시리즈 ${scatterSeriesCount}개, 시리즈당 ${scatterPointsPerSeries}개`);
-                  
-                  echartsOption = {
-                    title: { text: `ECharts Scatter (${scatterSeriesCount} series, ${scatterPointsPerSeries} points each)` },
-                    xAxis: { type: 'value', name: 'X Axis' },
-                    yAxis: { type: 'value', name: 'Y Axis' },
-                    legend: { data: Array.from({ length: scatterSeriesCount }, (_, i) => `Series ${i + 1}`) },
-                    series: Array.from({ length: scatterSeriesCount }, (_, i) => ({
-                      name: `Series ${i + 1}`,
-                      type: 'scatter',
-                      data: mockData.slice(i * scatterPointsPerSeries, (i + 1) * scatterPointsPerSeries)
-                        .map((value, index) => [index, value])
-                    }))
-                  };
-                  break;
-                default:
-                  echartsOption = {
-                    title: { text: `ECharts ${chartType} (Default Line)` },
-                    xAxis: { type: 'category', data: Array.from({ length: Math.min(100, mockData.length) }, (_, i) => i) },
-                    yAxis: { type: 'value' },
-                    series: [{ type: 'line', data: mockData.slice(0, 100) }]
-                  };
-              }
-            } else {
-              echartsOption = {
-                title: { text: `ECharts ${chartType} (No Data)` },
-                xAxis: { type: 'category', data: [] },
-                yAxis: { type: 'value' },
-                series: [{ type: 'line', data: [] }]
-              };
-            }
-            
-            chartInstance.setOption(echartsOption);
-            
-            // ECharts 렌더링 완료 대기
-            await new Promise(resolve => setTimeout(resolve, 100));
-            break;
-            
-          case 'uplot':
-            // uPlot은 주로 시계열 데이터에 특화되어 있어서 일부 차트 타입만 지원
-            if (mockData?.length) {
-              let uplotConfig = {};
-              let uplotData = [];
-              
-              switch (chartType) {
-                case 'line':
-                  const lineSeriesCount = datasetParams.series || 1;
-                  const lineTotalPoints = mockData.length;
-                  const linePointsPerSeries = Math.floor(lineTotalPoints / lineSeriesCount);
-                  
-                  console.log(`uPlot Line: 총 데이터 ${lineTotalPoints}개, 시리즈 ${lineSeriesCount}개, 시리즈당 ${linePointsPerSeries}개`);
-                  
-                  uplotData = [
-                    Array.from({ length: linePointsPerSeries }, (_, i) => i),
-                    ...Array.from({ length: lineSeriesCount }, (_, i) =>
-                      mockData.slice(i * linePointsPerSeries, (i + 1) * linePointsPerSeries)
-                    )
-                  ];
-                  uplotConfig = {
-                    title: `uPlot Line (${lineSeriesCount} series, ${linePointsPerSeries} points each)`,
-                    width: 800,
-                    height: 400,
-                    axes: [
-                      { label: "X Axis" },
-                      { label: "Value" }
-                    ],
-                    series: [
-                      { label: 'x' },
-                      ...Array.from({ length: lineSeriesCount }, (_, i) => ({ 
-                        label: `Series ${i + 1}`, 
-                        stroke: `hsl(${i * 60}, 70%, 50%)`,
-                        width: 2,
-                        points: { show: false }
-                      }))
-                    ]
-                  };
-                  break;
-                case 'scatter':
-                  const scatterSeriesCount = datasetParams.series || 1;
-                  const scatterTotalPoints = mockData.length;
-                  const scatterPointsPerSeries = Math.floor(scatterTotalPoints / scatterSeriesCount);
-                  
-                  console.log(`uPlot Scatter: 총 데이터 ${scatterTotalPoints}개, 시리즈 ${scatterSeriesCount}개, 시리즈당 ${scatterPointsPerSeries}개`);
-                  console.log(`uPlot Scatter: 실제 시리즈 데이터 길이들 =`, Array.from({ length: scatterSeriesCount }, (_, i) => 
-                    mockData.slice(i * scatterPointsPerSeries, (i + 1) * scatterPointsPerSeries).length
-                  ));
-                  
-                  // X축 데이터: 고정된 값으로 생성 (0부터 순차적으로)
-                  const xAxisData = Array.from({ length: scatterPointsPerSeries }, (_, i) => i);
-                  
-                  uplotData = [
-                    xAxisData,
-                    ...Array.from({ length: scatterSeriesCount }, (_, i) => {
-                      const seriesData = mockData.slice(i * scatterPointsPerSeries, (i + 1) * scatterPointsPerSeries);
-                      console.log(`Series ${i + 1} 실제 데이터 개수: ${seriesData.length}`);
-                      return seriesData;
-                    })
-                  ];
-                  uplotConfig = {
-                    title: `uPlot Scatter (${scatterSeriesCount} series, ${scatterPointsPerSeries} points each)`,
-                    width: 800,
-                    height: 400,
-                    axes: [
-                      { label: "X Axis" },
-                      { label: "Value" }
-                    ],
-                    scales: {
-                      x: { time: false }, // 시계열 모드 비활성화
-                      y: { time: false }
-                    },
-                    series: [
-                      { label: 'x' },
-                      ...Array.from({ length: scatterSeriesCount }, (_, i) => ({ 
-                        label: `Series ${i + 1}`, 
-                        stroke: null, // 선 연결 비활성화
-                        paths: () => null, // 경로 그리기 비활성화
-                        points: { 
-                          show: true, 
-                          size: 8,
-                          width: 2,
-                          fill: `hsl(${i * 60}, 70%, 60%)`,
-                          stroke: `hsl(${i * 60}, 70%, 40%)`
-                        }
-                      }))
-                    ]
-                  };
-                  break;
-                case 'bar':
-                  const barSeriesCount = datasetParams.series || 1;
-                  const barCategoriesCount = datasetParams.categories || 20;
-                  const barTotalPoints = mockData.length;
-                  const barPointsPerSeries = Math.floor(barTotalPoints / barSeriesCount);
-                  
-                  console.log(`uPlot Bar: 총 데이터 ${barTotalPoints}개, 시리즈 ${barSeriesCount}개, 카테고리 ${barCategoriesCount}개`);
-                  
-                  uplotData = [
-                    Array.from({ length: barCategoriesCount }, (_, i) => i),
-                    ...Array.from({ length: barSeriesCount }, (_, i) =>
-                      mockData.slice(i * barPointsPerSeries, (i + 1) * barPointsPerSeries).slice(0, barCategoriesCount)
-                    )
-                  ];
-                  
-                  // 바 차트를 위한 paths 함수 정의
-                  const drawBars = (u, seriesIdx, idx0, idx1) => {
-                    const { ctx } = u;
-                    const { left, top, width, height } = u.bbox;
-                    
-                    ctx.save();
-                    
-                    const barWidth = width / barCategoriesCount * 0.8 / barSeriesCount;
-                    const barSpacing = width / barCategoriesCount * 0.2;
-                    
-                    for (let i = idx0; i <= idx1; i++) {
-                      const xVal = uplotData[0][i];
-                      const yVal = uplotData[seriesIdx][i];
-                      
-                      if (yVal != null) {
-                        const x = u.valToPos(xVal, 'x', true);
-                        const y = u.valToPos(yVal, 'y', true);
-                        const barX = x - (barWidth * barSeriesCount) / 2 + barWidth * (seriesIdx - 1);
-                        const barHeight = height + top - y;
-                        
-                        ctx.fillStyle = `hsl(${(seriesIdx - 1) * 60}, 70%, 50%)`;
-                        ctx.fillRect(barX, y, barWidth, barHeight);
-                      }
-                    }
-                    
-                    ctx.restore();
-                  };
-                  
-                  uplotConfig = {
-                    title: `uPlot Bar (${barSeriesCount} series, ${barCategoriesCount} categories)`,
-                    width: 800,
-                    height: 400,
-                    axes: [
-                      { label: "Categories" },
-                      { label: "Value" }
-                    ],
-                    scales: {
-                      x: { time: false }
-                    },
-                    series: [
-                      { label: 'x' },
-                      ...Array.from({ length: barSeriesCount }, (_, i) => ({ 
-                        label: `Series ${i + 1}`, 
-                        stroke: null,
-                        fill: null,
-                        paths: drawBars,
-                        points: { show: false }
-                      }))
-                    ]
-                  };
-                  break;
-                default:
-                  // 기본값으로 선 차트
-                  uplotData = [
-                    Array.from({ length: Math.min(100, mockData.length) }, (_, i) => i),
-                    mockData.slice(0, 100)
-                  ];
-                  uplotConfig = {
-                    width: 800,
-                    height: 400,
-                    series: [
-                      { label: 'x' },
-                      { label: 'y', stroke: 'blue' }
-                    ]
-                  };
-              }
-              
-              chartInstance = new uPlot(uplotConfig, uplotData, chartContainer.current);
-              
-              // uPlot 렌더링 완료 대기
-              await new Promise(resolve => setTimeout(resolve, 100));
-            }
-            break;
-            
-          case 'chartjs':
-            const canvas = document.createElement('canvas');
-            chartContainer.current.appendChild(canvas);
-            
-            // Chart.js 차트 타입별 설정
-            let chartjsConfig = {};
-            if (mockData?.length) {
-              switch (chartType) {
-                case 'line':
-                  const seriesCount = datasetParams.series || 1;
-                  const totalPoints = mockData.length;
-                  const pointsPerSeries = Math.floor(totalPoints / seriesCount);
-                  
-                  console.log(`Chart.js Line: 총 데이터 ${totalPoints}개, 시리즈 ${seriesCount}개, 시리즈당 ${pointsPerSeries}개`);
-                  
-                  chartjsConfig = {
-                    type: 'line',
-                    data: {
-                      labels: Array.from({ length: pointsPerSeries }, (_, i) => `Point${i}`),
-                      datasets: Array.from({ length: seriesCount }, (_, i) => ({
-                        label: `Series ${i + 1}`,
-                        data: mockData.slice(i * pointsPerSeries, (i + 1) * pointsPerSeries),
-                        borderColor: `hsl(${i * 60}, 70%, 50%)`,
-                        backgroundColor: `hsla(${i * 60}, 70%, 50%, 0.1)`,
-                        fill: false
-                      }))
-                    },
-                    options: {
-                      plugins: {
-                        title: { display: true, text: `Chart.js Line (${seriesCount} series, ${pointsPerSeries} points each)` }
-                      },
-                      scales: {
-                        x: { title: { display: true, text: 'X Axis' } },
-                        y: { title: { display: true, text: 'Value' } }
-                      }
-                    }
-                  };
-                  break;
-                case 'bar':
-                  const barSeriesCount = datasetParams.series || 1;
-                  const barCategoriesCount = datasetParams.categories || 20;
-                  const barTotalPoints = mockData.length;
-                  const barPointsPerSeries = Math.floor(barTotalPoints / barSeriesCount);
-                  
-                  console.log(`Chart.js Bar: 총 데이터 ${barTotalPoints}개, 시리즈 ${barSeriesCount}개, 카테고리 ${barCategoriesCount}개`);
-                  
-                  chartjsConfig = {
-                    type: 'bar',
-                    data: {
-                      labels: Array.from({ length: barCategoriesCount }, (_, i) => `Cat${i}`),
-                      datasets: Array.from({ length: barSeriesCount }, (_, i) => ({
-                        label: `Series ${i + 1}`,
-                        data: mockData.slice(i * barPointsPerSeries, (i + 1) * barPointsPerSeries).slice(0, barCategoriesCount),
-                        backgroundColor: `hsla(${i * 60}, 70%, 50%, 0.6)`,
-                        borderColor: `hsl(${i * 60}, 70%, 50%)`,
-                        borderWidth: 1
-                      }))
-                    },
-                    options: {
-                      plugins: {
-                        title: { display: true, text: `Chart.js Bar (${barSeriesCount} series, ${barCategoriesCount} categories)` }
-                      },
-                      scales: {
-                        x: { title: { display: true, text: 'Categories' } },
-                        y: { title: { display: true, text: 'Value' } }
-                      }
-                    }
-                  };
-                  break;
-                case 'scatter':
-                  const scatterSeriesCount = datasetParams.series || 1;
-                  const scatterTotalPoints = mockData.length;
-                  const scatterPointsPerSeries = Math.floor(scatterTotalPoints / scatterSeriesCount);
-                  
-                  console.log(`Chart.js Scatter: 총 데이터 ${scatterTotalPoints}개, 시리즈 ${scatterSeriesCount}개, 시리즈당 ${scatterPointsPerSeries}개`);
-                  
-                  chartjsConfig = {
-                    type: 'scatter',
-                    data: {
-                      datasets: Array.from({ length: scatterSeriesCount }, (_, i) => ({
-                        label: `Series ${i + 1}`,
-                        data: mockData.slice(i * scatterPointsPerSeries, (i + 1) * scatterPointsPerSeries)
-                          .map((value, index) => ({ x: index, y: value })),
-                        backgroundColor: `hsla(${i * 60}, 70%, 50%, 0.6)`,
-                        borderColor: `hsl(${i * 60}, 70%, 50%)`
-                      }))
-                    },
-                    options: {
-                      plugins: {
-                        title: { display: true, text: `Chart.js Scatter (${scatterSeriesCount} series, ${scatterPointsPerSeries} points each)` }
-                      },
-                      scales: {
-                        x: { title: { display: true, text: 'X Axis' } },
-                        y: { title: { display: true, text: 'Y Axis' } }
-                      }
-                    }
-                  };
-                  break;
-                default:
-                  chartjsConfig = {
-                    type: 'line',
-                    data: {
-                      labels: Array.from({ length: Math.min(100, mockData.length) }, (_, i) => i),
-                      datasets: [{
-                        label: 'Dataset',
-                        data: mockData.slice(0, 100),
-                        borderColor: 'blue',
-                        fill: false
-                      }]
-                    }
-                  };
-              }
-            } else {
-              chartjsConfig = {
-                type: 'line',
-                data: {
-                  labels: [],
-                  datasets: [{ label: 'Dataset', data: [] }]
-                }
-              };
-            }
-            
-            chartInstance = new Chart(canvas, chartjsConfig);
-            
-            // Chart.js 렌더링 완료 대기
-            await new Promise(resolve => setTimeout(resolve, 100));
-            break;
-            
-          default:
-            console.warn(`지원하지 않는 라이브러리: ${library}`);
-            return null;
-        }
+        handle = await adapter.mount(chartContainer.current, { type: chartType, raw: rawData, width: size.width, height: size.height, renderer, pixelRatio });
+        await paintBarrier();
       } catch (chartError) {
         console.error(`차트 생성 실패 (${library} - ${chartType}):`, chartError);
         return null;
-      }      // 렌더링 완료 후 추가 대기 (DOM 업데이트 완료)
-      await new Promise(resolve => setTimeout(resolve, 50));
+      }
+      // 렌더 완료 신호 없이 timeout 으로 끝난 마운트는 시간이 timeout 값이므로 표본에서 제외 (실패 회차로 집계)
+      if (handle.timedOut) {
+        console.warn(`렌더 완료 신호 timeout (${library} - ${chartType}): 측정값 제외`);
+        return null;
+      }
       
       const renderTime = performance.now() - startTime;
       const domNodes = countDOMNodes(chartContainer.current);
       
-      // 메모리 측정 개선 - 가비지 컬렉션 후 재측정
-      let endMemory = measureMemory();
-      await new Promise(resolve => setTimeout(resolve, 50)); // 메모리 안정화 대기
-      endMemory = measureMemory(); // 재측정
-      
-      let memoryUsage = endMemory.used - startMemory.used;
+      // 메모리 안정화 대기 후 측정
+      await new Promise(resolve => setTimeout(resolve, 50));
+      const endMemory = measureMemory();
       
-      // 음수 메모리 사용량 처리 (가비지 컬렉션으로 인한 메모리 감소)
-      if (memoryUsage < 0) {
-        console.warn(`${library} - ${chartType}: 음수 메모리 사용량 감지 (${Math.round(memoryUsage/1024)}KB) - 가비지 컬렉션으로 추정`);
-        // 음수인 경우 절댓값 사용
-        memoryUsage = Math.abs(memoryUsage);
+      // 음수(측정 중 GC 로 힙 감소)도 그대로 기록, performance.memory 미지원 브라우저는 null
+      // 누적 누수 여부는 단일 측정이 아닌 누수 검사(반복 마운트/해제)로 판단
+      const memoryUsage = performance.memory ? endMemory.used - startMemory.used : null;
+
+      // 같은 크기의 새 데이터로 업데이트 (재생성 시나리오, 시드 지정 시 파생 시드로 재현 가능)
+      const updateRaw = buildMock(chartType, { ...datasetParams, seed: dataSeed === '' ? dataSeed : `${dataSeed}:update` });
+      const updateStart = performance.now();
+      await adapter.update(handle, updateRaw);
+      await paintBarrier();
+      const updateTime = performance.now() - updateStart;
+      if (handle.timedOut) {
+        console.warn(`업데이트 렌더 완료 신호 timeout (${library} - ${chartType}): 측정값 제외`);
+        return null;
       }
+      const blocking = await mainThread.stop();
+      mainThread = null;
       
       // FPS와 Web Vitals 측정
       const fps = await measureFPS();
       const webVitals = await measureWebVitals();
 
-      // 인스턴스 정리
-      if (chartInstance) {
-        try {
-          if (library === 'echarts') {
-            chartInstance.dispose();
-          } else if (library === 'uplot') {
-            chartInstance.destroy();
-          } else if (library === 'chartjs') {
-            chartInstance.destroy();
-          } else if (library === 'apex' && chartInstance.destroy) {
-            chartInstance.destroy();
-          }
-        } catch (e) {
-          console.warn(`차트 인스턴스 정리 실패 (${library}):`, e);
-        }
-      }
-      
-      // DOM 완전 초기화
-      if (chartContainer.current) {
-        chartContainer.current.innerHTML = '';
-      }
+      // 상호작용(hover/tooltip) 지연: 마운트된 차트 위로 합성 이벤트 전송
+      const hoverLatency = hover ? await measureHoverLatency(chartContainer.current) : null;
 
       return {
         library,
         chartType,
+        renderer, // DOM 노드 수 / 메모리는 렌더러에 따라 크게 달라짐 (svg: 요소마다 노드, canvas: 비트맵)
+        width: size.width,
+        height: size.height,
+        pixelRatio: appliedPixelRatio, // 실제 렌더링 해상도 = width × height × pixelRatio²
         datasetParams, // 데이터셋 정보 추가
+        seed: dataSeed,
+        cold, // 라이브러리 로드 직후 첫 마운트
+        dataPoints,
         renderTime: Math.round(renderTime * 100) / 100,
         domNodes,
-        bundleSize: getBundleSize(library), // 정적 값
+        bundleSize: bundleSizeKB(bundleManifest, library),
         dataProcessingTime: Math.round(dataProcessingTime * 100) / 100,
-        memoryUsage: Math.round(memoryUsage / 1024), // KB 단위
+        memoryUsage: memoryUsage == null ? null : Math.round(memoryUsage / 1024), // KB 단위
         fps: Math.round(fps * 100) / 100,
+        updateTime: Math.round(updateTime * 100) / 100,
+        longTasks: blocking.longTasks,
+        totalBlockingTime: blocking.totalBlockingTime == null ? null : Math.round(blocking.totalBlockingTime * 100) / 100,
+        longestTask: blocking.longestTask == null ? null : Math.round(blocking.longestTask * 100) / 100,
+        longestFrame: Math.round(blocking.longestFrame * 100) / 100,
+        hoverLatency: hoverLatency ? Math.round(hoverLatency.mean * 100) / 100 : null,
+        hoverLatencyP95: hoverLatency ? Math.round(hoverLatency.p95 * 100) / 100 : null,
         webVitals: {
           fcp: Math.round(webVitals.fcp * 100) / 100,
           lcp: Math.round(webVitals.lcp * 100) / 100,
@@ -798,133 +369,802 @@ export default function PerformanceBenchmark() {
     } catch (error) {
       console.error(`측정 실패 (${library} - ${chartType}):`, error);
       return null;
+    } finally {
+      // 마운트 이후 어느 단계(업데이트 / hover / FPS)에서 실패해도 관찰 중지 + 인스턴스 정리 → 다음 측정에 남지 않도록
+      if (mainThread) await mainThread.stop();
+      if (handle) {
+        try {
+          adapter.destroy(handle);
+        } catch (e) {
+          console.warn(`차트 인스턴스 정리 실패 (${library}):`, e);
+        }
+      }
+      
+      // DOM 완전 초기화
+      if (chartContainer.current) {
+        chartContainer.current.innerHTML = '';
+      }
     }
   };
 
-  // 번들 크기 (정적 값 - 실제로는 빌드 시 측정해야 함)
-  const getBundleSize = (library) => {
-    const sizes = {
-      apex: 550, // KB (gzipped)
-      echarts: 650,
-      uplot: 45,
-      chartjs: 180
+  // 스윕 범위 검증 (잘못된 범위는 실행하지 않고 설정 아래에 표시)
+  const sweepError = sweepRangeError(sweepConfig.start, sweepConfig.end, sweepConfig.factor);
+
+  // 스윕 설정 변경 핸들러
+  const updateSweepConfig = (key, value) => {
+    setSweepConfig(prev => ({ ...prev, [key]: key === 'chartType' ? value : (Number(value) || 1) }));
+  };
+
+  // 데이터 크기 스윕 실행 (라이브러리별로 예산 초과/오류 발생까지 크기 증가)
+  const runSweepBenchmark = async () => {
+    const { chartType, start, end, factor, budget, repeats } = sweepConfig;
+    const libraries = selectedLibraries.filter(library => supportsType(library, chartType));
+    const sizes = sweepSizes(start, end, factor);
+    if (libraries.length === 0 || sizes.length === 0) return;
+
+    setIsRunning(true);
+    setSweepReport(null);
+
+    const entries = await runSweep({
+      libraries,
+      chartType,
+      sizes,
+      budget,
+      repeats,
+      baseParams: datasets[chartType],
+      measure: (library, chartType, params) => measureSingleChart(library, chartType, params, { hover: false }),
+      onProgress: ({ library, size }) => setCurrentProgress({
+        library,
+        chart: chartType,
+        detail: `${size.toLocaleString()} 포인트 (예산 ${budget}ms)`,
+        progress: Math.round((sizes.indexOf(size) / sizes.length) * 100)
+      })
+    });
+
+    setSweepReport({ chartType, budget, entries });
+    setIsRunning(false);
+    setCurrentProgress({ library: '', chart: '', iteration: 0, progress: 100 });
+  };
+
+  // 스윕 결과 차트 (x: 포인트 수 log 축, y: 렌더링 시간)
+  const sweepOption = useMemo(() => {
+    if (!sweepReport) return null;
+    return {
+      tooltip: { trigger: 'axis' },
+      legend: { top: 0 },
+      grid: { top: 40, right: 40 },
+      xAxis: { type: 'log', name: '포인트 수' },
+      yAxis: { type: 'value', name: '렌더링(ms)' },
+      series: sweepReport.entries.map((entry, index) => ({
+        name: entry.library,
+        type: 'line',
+        data: entry.samples.map(sample => [sample.points, sample.renderTime]),
+        ...(index === 0 ? { markLine: { symbol: 'none', data: [{ yAxis: sweepReport.budget, name: '예산' }], lineStyle: { color: '#dc2626', type: 'dashed' } } } : {})
+      }))
     };
-    return sizes[library] || 0;
+  }, [sweepReport]);
+
+  // 줌/팬 설정 변경 핸들러
+  const updateZoomConfig = (key, value) => {
+    setZoomConfig(prev => ({ ...prev, [key]: key === 'chartType' ? value : (Number(value) || 1) }));
   };
 
-  // 전체 벤치마크 실행
-  const runBenchmark = async () => {
+  // 줌/팬 처리량 측정 (큰 데이터로 마운트 후 x축 범위를 steps 번 변경, repeats 회 반복)
+  const runZoomBenchmark = async () => {
+    const { chartType, points, steps, repeats } = zoomConfig;
+    const libraries = selectedLibraries.filter(library => supportsZoom(library, chartType));
+    if (libraries.length === 0 || !chartContainer.current) return;
+
     setIsRunning(true);
-    setResults([]);
-    
-    const allResults = [];
-    let totalTests = selectedLibraries.length * selectedChartTypes.length * iterations;
-    let currentTest = 0;
+    setZoomReport(null);
+
+    const params = paramsForPoints(chartType, points, datasets[chartType]);
+    const entries = [];
+    for (const library of libraries) {
+      const adapter = getAdapter(library);
+      const times = { zoom: [], pan: [] };
+      let timedOut = 0; // 렌더 완료 신호 timeout 으로 제외한 조작 수
+      let dataPoints = 0;
+      let error = null;
+      for (let i = 0; i < repeats; i++) {
+        setCurrentProgress({
+          library,
+          chart: chartType,
+          iteration: i + 1,
+          detail: `줌/팬 ${steps}단계 × ${points.toLocaleString()} 포인트`,
+          progress: Math.round(((libraries.indexOf(library) * repeats + i) / (libraries.length * repeats)) * 100)
+        });
+        let handle = null;
+        try {
+          await adapter.load();
+          chartContainer.current.innerHTML = '';
+          const raw = buildMock(chartType, { ...params, seed });
+          dataPoints = countPoints(chartType, raw);
+          handle = await adapter.mount(chartContainer.current, { type: chartType, raw, width: CHART_WIDTH, height: CHART_HEIGHT, interactive: true });
+          await paintBarrier(); // 첫 렌더 페인트 후 조작 시작
+          const { samples, timedOut: skippedSteps } = await measureZoomPan(adapter, handle, zoomPanSteps(xExtent(chartType, raw), steps));
+          timedOut += skippedSteps;
+          times.zoom.push(...samples.zoom);
+          times.pan.push(...samples.pan);
+        } catch (e) {
+          console.error(`줌/팬 측정 실패 (${library} - ${chartType}):`, e);
+          error = e.message || String(e);
+        } finally {
+          if (handle) {
+            try { adapter.destroy(handle); } catch (e) { console.warn(`차트 인스턴스 정리 실패 (${library}):`, e); }
+          }
+          if (chartContainer.current) chartContainer.current.innerHTML = '';
+        }
+        if (error) break;
+        await new Promise(resolve => setTimeout(resolve, 100)); // 회차 간 안정화
+      }
+      entries.push({ library, dataPoints, zoom: summarize(times.zoom), pan: summarize(times.pan), timedOut, error });
+    }
+
+    setZoomReport({ chartType, points, steps, repeats, entries });
+    setIsRunning(false);
+    setCurrentProgress({ library: '', chart: '', iteration: 0, progress: 100 });
+  };
+
+  // 리사이즈 설정 변경 핸들러
+  const updateResizeConfig = (key, value) => {
+    setResizeConfig(prev => ({ ...prev, [key]: key === 'chartType' ? value : (Number(value) || 1) }));
+  };
+
+  // 리사이즈 응답성 측정 (마운트 후 컨테이너 너비를 from ↔ to 로 steps 단계씩 왕복, repeats 회 반복)
+  const runResizeBenchmark = async () => {
+    const { chartType, from, to, steps, repeats } = resizeConfig;
+    const libraries = selectedLibraries.filter(library => supportsType(library, chartType));
+    const widths = resizeWidths(from, to, steps);
+    if (libraries.length === 0 || widths.length === 0 || !chartContainer.current) return;
+
+    setIsRunning(true);
+    setResizeReport(null);
+
+    const entries = [];
+    for (const library of libraries) {
+      const adapter = getAdapter(library);
+      const samples = [];
+      let longestFrame = 0;
+      let error = null;
+      for (let i = 0; i < repeats; i++) {
+        setCurrentProgress({
+          library,
+          chart: chartType,
+          iteration: i + 1,
+          detail: `리사이즈 ${from} ↔ ${to}px · ${widths.length}회`,
+          progress: Math.round(((libraries.indexOf(library) * repeats + i) / (libraries.length * repeats)) * 100)
+        });
+        let handle = null;
+        try {
+          await adapter.load();
+          chartContainer.current.innerHTML = '';
+          sizeChartContainer(`${from}px`);
+          const raw = buildMock(chartType, { ...datasets[chartType], seed });
+          handle = await adapter.mount(chartContainer.current, { type: chartType, raw, width: from, height: CHART_HEIGHT });
+          await paintBarrier(); // 첫 렌더 페인트 후 리사이즈 시작
+          const result = await measureResize(adapter, handle, chartContainer.current, widths, CHART_HEIGHT);
+          samples.push(...result.samples);
+          longestFrame = Math.max(longestFrame, result.longestFrame);
+        } catch (e) {
+          console.error(`리사이즈 측정 실패 (${library} - ${chartType}):`, e);
+          error = e.message || String(e);
+        } finally {
+          if (handle) {
+            try { adapter.destroy(handle); } catch (e) { console.warn(`차트 인스턴스 정리 실패 (${library}):`, e); }
+          }
+          if (chartContainer.current) chartContainer.current.innerHTML = '';
+          sizeChartContainer();
+        }
+        if (error) break;
+        await new Promise(resolve => setTimeout(resolve, 100)); // 회차 간 안정화
+      }
+      entries.push({ library, resize: summarize(samples.map(sample => sample.time)), samples, longestFrame, error });
+    }
+
+    setResizeReport({ chartType, from, to, steps, repeats, entries });
+    setIsRunning(false);
+    setCurrentProgress({ library: '', chart: '', iteration: 0, progress: 100 });
+  };
+
+  // 리사이즈 결과 차트 (x: 너비, y: 같은 너비 샘플의 평균 다시 그리기 시간)
+  const resizeOption = useMemo(() => {
+    if (!resizeReport) return null;
+    return {
+      tooltip: { trigger: 'axis' },
+      legend: { top: 0 },
+      grid: { top: 40, right: 40 },
+      xAxis: { type: 'value', name: '너비(px)', scale: true },
+      yAxis: { type: 'value', name: '리사이즈(ms)' },
+      series: resizeReport.entries.filter(entry => !entry.error).map(entry => {
+        const byWidth = new Map();
+        entry.samples.forEach(({ width, time }) => byWidth.set(width, [...(byWidth.get(width) || []), time]));
+        return {
+          name: entry.library,
+          type: 'line',
+          data: Array.from(byWidth, ([width, times]) => [width, Math.round(times.reduce((sum, t) => sum + t, 0) / times.length * 100) / 100])
+            .sort((a, b) => a[0] - b[0])
+        };
+      })
+    };
+  }, [resizeReport]);
 
+  // 스트리밍 설정 변경 핸들러 (windows 는 쉼표 구분 문자열)
+  const updateStreamConfig = (key, value) => {
+    setStreamConfig(prev => ({ ...prev, [key]: key === 'windows' ? value : (Number(value) || 1) }));
+  };
+
+  // 실시간 스트리밍 측정 (line, 윈도우 크기별로 미리 채운 차트에 고정 주기로 포인트 추가)
+  const runStreamBenchmark = async () => {
+    const { pointsPerTick, tickMs, duration } = streamConfig;
+    const windows = streamConfig.windows.split(',').map(v => parseInt(v, 10)).filter(v => v > 0);
+    const libraries = selectedLibraries.filter(library => supportsStream(library, 'line'));
+    if (libraries.length === 0 || windows.length === 0 || !chartContainer.current) return;
+
+    setIsRunning(true);
+    setStreamReport(null);
+
+    const entries = [];
+    const total = libraries.length * windows.length;
+    for (const library of libraries) {
+      const adapter = getAdapter(library);
+      for (const windowSize of windows) {
+        setCurrentProgress({
+          library,
+          chart: 'line',
+          detail: `스트리밍 윈도우 ${windowSize.toLocaleString()} · ${pointsPerTick}포인트/${tickMs}ms`,
+          progress: Math.round((entries.length / total) * 100)
+        });
+        let handle = null;
+        try {
+          await adapter.load();
+          chartContainer.current.innerHTML = '';
+          const raw = buildMock('line', { ...datasets.line, points: windowSize, seed });
+          handle = await adapter.mount(chartContainer.current, { type: 'line', raw, width: CHART_WIDTH, height: CHART_HEIGHT });
+          await paintBarrier();
+          const stream = createLineStream(raw, { seed });
+          const result = await runStream(adapter, handle, { next: stream.next, pointsPerTick, tickMs, duration, window: windowSize });
+          entries.push({ library, window: windowSize, ...result });
+        } catch (e) {
+          console.error(`스트리밍 측정 실패 (${library} - ${windowSize}):`, e);
+          entries.push({ library, window: windowSize, error: e.message || String(e) });
+        } finally {
+          if (handle) {
+            try { adapter.destroy(handle); } catch (e) { console.warn(`차트 인스턴스 정리 실패 (${library}):`, e); }
+          }
+          if (chartContainer.current) chartContainer.current.innerHTML = '';
+        }
+        await new Promise(resolve => setTimeout(resolve, 100));
+      }
+    }
+
+    setStreamReport({ pointsPerTick, tickMs, duration, windows, entries });
+    setIsRunning(false);
+    setCurrentProgress({ library: '', chart: '', iteration: 0, progress: 100 });
+  };
+
+  // 스트리밍 결과 차트 (x: 윈도우 크기, y: 지속 FPS)
+  const streamOption = useMemo(() => {
+    if (!streamReport) return null;
+    const libraries = [...new Set(streamReport.entries.map(entry => entry.library))];
+    return {
+      tooltip: { trigger: 'axis' },
+      legend: { top: 0 },
+      grid: { top: 40, right: 40 },
+      xAxis: { type: 'category', name: '윈도우', data: streamReport.windows.map(String) },
+      yAxis: { type: 'value', name: '지속 FPS' },
+      series: libraries.map(library => ({
+        name: library,
+        type: 'bar',
+        data: streamReport.windows.map(windowSize => {
+          const entry = streamReport.entries.find(e => e.library === library && e.window === windowSize);
+          return entry && !entry.error ? Math.round(entry.fps * 10) / 10 : null;
+        })
+      }))
+    };
+  }, [streamReport]);
+
+  // 누수 검사 설정 변경 핸들러
+  const updateLeakConfig = (key, value) => {
+    setLeakConfig(prev => ({ ...prev, [key]: Number(value) || 1 }));
+  };
+
+  // 메모리 누수 검사 (선택된 라이브러리 × 차트 타입마다 cycles 회 마운트/해제)
+  // 힙 기울기가 임계값을 넘고(r² ≥ 0.5) 꾸준히 증가하거나, 회당 0.5개 이상 리스너가 남으면 누수 의심
+  const runLeakBenchmark = async () => {
+    const { cycles, threshold } = leakConfig;
+    const pairs = selectedLibraries.flatMap(library =>
+      selectedChartTypes.filter(chartType => supportsType(library, chartType)).map(chartType => [library, chartType])
+    );
+    if (pairs.length === 0 || !chartContainer.current) return;
+
+    setIsRunning(true);
+    setLeakReport(null);
+
+    const entries = [];
+    for (const [library, chartType] of pairs) {
+      const adapter = getAdapter(library);
+      const index = entries.length;
+      try {
+        await adapter.load();
+        chartContainer.current.innerHTML = '';
+        const raw = buildMock(chartType, { ...datasets[chartType], seed });
+        const result = await runLeakCheck({
+          adapter,
+          container: chartContainer.current,
+          chartType,
+          raw,
+          width: CHART_WIDTH,
+          height: CHART_HEIGHT,
+          cycles,
+          onCycle: cycle => {
+            if (cycle % 10 !== 0) return;
+            setCurrentProgress({
+              library,
+              chart: chartType,
+              detail: `누수 검사 ${cycle} / ${cycles}회`,
+              progress: Math.round(((index + cycle / cycles) / pairs.length) * 100)
+            });
+          }
+        });
+        const heapLeak = result.slope != null && result.slope > threshold && result.r2 >= 0.5;
+        // 분리 노드 리스너는 GC 강제 시에만 집계 (null 이면 전역 리스너만으로 판정)
+        const listenerLeak = result.globalListeners + (result.detachedListeners ?? 0) >= cycles * 0.5;
+        entries.push({ library, chartType, ...result, heapLeak, listenerLeak });
+      } catch (e) {
+        console.error(`누수 검사 실패 (${library} - ${chartType}):`, e);
+        entries.push({ library, chartType, error: e.message || String(e) });
+      } finally {
+        if (chartContainer.current) chartContainer.current.innerHTML = '';
+      }
+    }
+
+    setLeakReport({ cycles, threshold, heapSupported: !!performance.memory, gcExposed: !!window.gc, entries });
+    setIsRunning(false);
+    setCurrentProgress({ library: '', chart: '', iteration: 0, progress: 100 });
+  };
+
+  // 누수 검사 결과 차트 (x: 회차, y: 힙 사용량)
+  const leakOption = useMemo(() => {
+    if (!leakReport || !leakReport.heapSupported) return null;
+    return {
+      tooltip: { trigger: 'axis' },
+      legend: { top: 0, type: 'scroll' },
+      grid: { top: 40, right: 40 },
+      xAxis: { type: 'value', name: '회차' },
+      yAxis: { type: 'value', name: '힙(KB)', scale: true },
+      series: leakReport.entries.filter(entry => !entry.error).map(entry => ({
+        name: `${entry.library} · ${entry.chartType}`,
+        type: 'line',
+        showSymbol: false,
+        data: entry.samples.map(sample => [sample.cycle, Math.round(sample.kb)])
+      }))
+    };
+  }, [leakReport]);
+
+  // 대시보드 설정 변경 핸들러
+  const updateDashboardConfig = (key, value) => {
+    setDashboardConfig(prev => ({ ...prev, [key]: key === 'lazy' ? value : (Number(value) || 1) }));
+  };
+
+  // 대시보드 부하 측정 (라이브러리마다 선택한 차트 타입을 섞어 N 개를 한 화면 격자에 마운트 → 스크롤)
+  // 지연 마운트 비교 시 같은 구성을 IntersectionObserver 로 화면에 들어온 셀만 마운트해 한 번 더 측정
+  const runDashboardBenchmark = async () => {
+    const { charts: count, columns, chartWidth, chartHeight, viewportHeight, scrollStep, lazy } = dashboardConfig;
+    const modes = lazy ? [false, true] : [false];
+    if (selectedLibraries.length === 0 || selectedChartTypes.length === 0 || !chartContainer.current) return;
+
+    setIsRunning(true);
+    setDashboardReport(null);
+    chartContainer.current.innerHTML = '';
+    sizeChartContainer('fit-content', 'auto');
+
+    const entries = [];
+    const total = selectedLibraries.length * modes.length;
     for (const library of selectedLibraries) {
-      for (const chartType of selectedChartTypes) {
-        const datasetParams = datasets[chartType];
-        
-        for (let i = 0; i < iterations; i++) {
-          setCurrentProgress({ 
-            library, 
-            chart: chartType, 
-            iteration: i + 1,
-            progress: Math.round((currentTest / totalTests) * 100)
+      const adapter = getAdapter(library);
+      const types = dashboardLayout(selectedChartTypes.filter(chartType => supportsType(library, chartType)), count);
+      for (const lazyMount of modes) {
+        setCurrentProgress({
+          library,
+          chart: `${count}개 혼합`,
+          detail: `대시보드 ${lazyMount ? '지연' : '즉시'} 마운트 · ${columns}열 × ${chartWidth}×${chartHeight}`,
+          progress: Math.round((entries.length / total) * 100)
+        });
+        if (types.length === 0) {
+          entries.push({ library, lazy: lazyMount, error: '선택한 차트 타입을 지원하지 않음' });
+          continue;
+        }
+        try {
+          await adapter.load();
+          // 셀마다 파생 시드 → 라이브러리 간 같은 위치에는 같은 데이터
+          const charts = types.map((type, index) => ({ type, raw: buildMock(type, { ...datasets[type], seed: seed === '' ? seed : `${seed}:${index}` }) }));
+          const result = await runDashboardLoad({
+            adapter, container: chartContainer.current, charts, columns, chartWidth, chartHeight, viewportHeight, scrollStep, lazy: lazyMount
           });
-          
-          const result = await measureSingleChart(library, chartType, datasetParams);
-          if (result) {
-            result.iteration = i + 1;
-            allResults.push(result);
-          }
-          
-          currentTest++;
-          
-          // UI 업데이트를 위한 작은 지연 (차트 확인 시간 포함)
-          await new Promise(resolve => setTimeout(resolve, isRunning ? 1000 : 100));
+          entries.push({ library, lazy: lazyMount, types: [...new Set(types)], ...result });
+        } catch (e) {
+          console.error(`대시보드 측정 실패 (${library}):`, e);
+          entries.push({ library, lazy: lazyMount, error: e.message || String(e) });
+        } finally {
+          if (chartContainer.current) chartContainer.current.innerHTML = '';
         }
+        await new Promise(resolve => setTimeout(resolve, 100));
       }
     }
+
+    sizeChartContainer();
+    setDashboardReport({ ...dashboardConfig, entries });
+    setIsRunning(false);
+    setCurrentProgress({ library: '', chart: '', iteration: 0, progress: 100 });
+  };
+
+  // 대시보드 결과 차트 (라이브러리별 페인트 시간, 즉시 vs 지연 마운트의 초기 화면 / 전체)
+  const dashboardOption = useMemo(() => {
+    if (!dashboardReport) return null;
+    const libraries = [...new Set(dashboardReport.entries.map(entry => entry.library))];
+    // 즉시 마운트는 초기 페인트 = 전체 페인트
+    const bars = [{ name: '즉시 마운트', lazy: false, key: 'paintTime' }];
+    if (dashboardReport.lazy) {
+      bars.push({ name: '지연 마운트 (초기 화면)', lazy: true, key: 'paintTime' }, { name: '지연 마운트 (전체)', lazy: true, key: 'allPaintTime' });
+    }
+    return {
+      tooltip: { trigger: 'axis' },
+      legend: { top: 0 },
+      grid: { top: 40, right: 40 },
+      xAxis: { type: 'category', data: libraries },
+      yAxis: { type: 'value', name: '페인트(ms)' },
+      series: bars.map(({ name, lazy: lazyMount, key }) => ({
+        name,
+        type: 'bar',
+        data: libraries.map(library => {
+          const entry = dashboardReport.entries.find(e => e.library === library && e.lazy === lazyMount);
+          return entry && !entry.error ? Math.round(entry[key] * 10) / 10 : null;
+        })
+      }))
+    };
+  }, [dashboardReport]);
+
+  // 전체 벤치마크 실행 (config: currentConfig() 형태, 헤드리스 러너는 파일 설정을 전달)
+  const runBenchmark = async (config = currentConfig()) => {
+    const {
+      iterations, seed, libraries, chartTypes, datasets, measureHover, order = 'sequential', warmupRuns = 0, compareRenderers = false,
+      chartSizes = [{ width: CHART_WIDTH, height: CHART_HEIGHT }], pixelRatio = null
+    } = config;
+    const control = createRunControl();
+    runControlRef.current = control;
+    setRunState('running');
+    setIsRunning(true);
+    setResults([]);
+    setLoadedRunId(null);
+    setSkipped([]);
+    setColdStarts([]);
+    
+    const allResults = [];
+    const allSkipped = [];
+    const allColdStarts = [];
+    // 렌더러 비교 시 라이브러리가 지원하는 모든 렌더러, 아니면 기본 렌더러만
+    const renderersFor = library => compareRenderers ? renderersOf(library) : renderersOf(library).slice(0, 1);
+    // 측정 조합: 라이브러리 × 타입 × 렌더러 × 차트 크기
+    const cells = libraries.flatMap(library =>
+      chartTypes.filter(chartType => supportsType(library, chartType))
+        .flatMap(chartType => renderersFor(library).flatMap(renderer => chartSizes.map(size => ({ library, chartType, renderer, size }))))
+    );
+    // 미지원 조합은 다른 타입으로 대체하지 않고 N/A 로 기록
+    libraries.forEach(library => chartTypes.forEach(chartType => {
+      if (supportsType(library, chartType)) return;
+      renderersFor(library).forEach(renderer => chartSizes.forEach(({ width, height }) =>
+        allSkipped.push({ library, renderer, chartType, width, height, datasetParams: datasets[chartType], status: 'N/A' })
+      ));
+    }));
+
+    // 실행 순서대로 측정 (결과마다 전역 실행 순서 order 기록 → 순서 영향 분석)
+    const schedule = buildSchedule(cells, iterations, order, seed, warmupRuns);
+    const totalTests = schedule.length;
+    const failures = new Map(); // 조합(cell)별 실패 회차 수
+    const durations = []; // 회차별 소요 시간 (일시정지 대기 제외, ETA 계산용)
+
+    for (const [index, { cell, iteration, warmup }] of schedule.entries()) {
+      const { library, chartType, renderer, size } = cell;
+      // 회차 사이에서만 멈춤: 일시정지면 재개까지 대기, 중지면 남은 회차 생략 (측정된 결과는 유지)
+      if (!(await control.checkpoint())) break;
+      const iterationStart = performance.now();
+      const datasetParams = datasets[chartType];
+      setCurrentProgress({ 
+        library: `${library} (${renderer}) · ${sizeLabel(size)}`, 
+        chart: chartType, 
+        iteration,
+        detail: warmup ? `워밍업 ${iteration}/${warmupRuns}` : null,
+        progress: Math.round((index / totalTests) * 100),
+        eta: estimateRemaining(durations, totalTests - index)
+      });
+      
+      const result = await measureSingleChart(library, chartType, datasetParams, { hover: measureHover, seed, renderer, size, pixelRatio });
+      // cold start 는 워밍업 여부와 관계없이 별도 지표로 기록 (동적 import 시간 + 첫 마운트)
+      if (result?.cold) {
+        allColdStarts.push({ library, renderer, chartType, ...size, importTime: Math.round(getLoadTime(library) * 100) / 100, mountTime: result.renderTime });
+      }
+      // 워밍업 실행은 기록하지 않음 (모듈 평가 / 폰트 로드 / JIT 워밍업)
+      if (!warmup && result) {
+        result.iteration = iteration;
+        result.order = index + 1;
+        allResults.push(result);
+      } else if (!warmup) {
+        failures.set(cell, (failures.get(cell) || 0) + 1);
+      }
+      
+      // UI 업데이트를 위한 작은 지연 (차트 확인 시간 포함)
+      await new Promise(resolve => setTimeout(resolve, isRunning ? 1000 : 100));
+      durations.push(performance.now() - iterationStart);
+    }
+
+    // 모든 회차가 실패한 조합은 ERROR 로 기록
+    cells.forEach(cell => {
+      if (failures.get(cell) === iterations) {
+        const { library, chartType, renderer, size } = cell;
+        allSkipped.push({ library, renderer, chartType, ...size, datasetParams: datasets[chartType], status: 'ERROR' });
+      }
+    });
     
+    // 측정 중 남은 차트가 없도록 컨테이너 정리 (각 회차는 measureSingleChart 에서 destroy), 기본 크기로 복원
+    if (chartContainer.current) {
+      chartContainer.current.innerHTML = '';
+      sizeChartContainer();
+    }
+    const cancelled = control.state === 'cancelled';
+    runControlRef.current = null;
+
     setResults(allResults);
+    setSkipped(allSkipped);
+    setColdStarts(allColdStarts);
     setIsRunning(false);
+    setRunState('idle');
     setCurrentProgress({ library: '', chart: '', iteration: 0, progress: 100 });
+
+    // 실행 기록 저장 (설정 + 환경 + 원본 측정값, 중지한 실행은 부분 결과로 저장)
+    const run = {
+      name: `${new Date().toLocaleString()} · ${libraries.join('/')} · ${chartTypes.join('/')}${cancelled ? ' (중지됨)' : ''}`,
+      config,
+      environment: collectEnvironment(),
+      results: allResults,
+      skipped: allSkipped,
+      coldStarts: allColdStarts,
+      cancelled
+    };
+    try {
+      const id = await saveRun(run);
+      setLoadedRunId(id);
+      setHistoryVersion(v => v + 1);
+    } catch (e) {
+      console.warn('실행 기록 저장 실패:', e);
+    }
+    return run;
+  };
+
+  const pauseRun = () => {
+    runControlRef.current?.pause();
+    setRunState('paused');
+  };
+
+  const resumeRun = () => {
+    runControlRef.current?.resume();
+    setRunState('running');
+  };
+
+  // 진행 중인 회차가 끝나면 중지 (차트 정리 후 부분 결과 표시·저장)
+  const cancelRun = () => {
+    runControlRef.current?.cancel();
+    setRunState('stopping');
+  };
+
+  // 현재 측정 설정 (기록 저장용)
+  const currentConfig = () => ({
+    iterations,
+    seed,
+    libraries: selectedLibraries,
+    chartTypes: selectedChartTypes,
+    datasets: Object.fromEntries(selectedChartTypes.map(chartType => [chartType, datasets[chartType]])),
+    measureHover,
+    order: executionOrder,
+    warmupRuns,
+    compareRenderers,
+    chartSizes: selectedChartSizes(),
+    pixelRatio: pixelRatio === '' ? null : pixelRatio
+  });
+
+  // 선택한 크기 프리셋 → [{ width, height }] (프리셋 순서, custom 은 마지막)
+  const selectedChartSizes = () => [
+    ...CHART_SIZES.filter(({ id }) => chartSizes.includes(id)).map(({ width, height }) => ({ width, height })),
+    ...(chartSizes.includes('custom') ? [customSize] : [])
+  ];
+
+  const toggleChartSize = (id) => {
+    setChartSizes(prev => prev.includes(id) ? prev.filter(item => item !== id) : [...prev, id]);
+  };
+
+  // 헤드리스 러너(scripts/headless-benchmark.js) 설정 → 실행 설정
+  // 지정하지 않은 항목은 화면 기본값, 데이터셋은 타입별 기본 크기에 덮어씀
+  const runHeadless = (overrides = {}) => {
+    if (runControlRef.current) throw new Error('이미 벤치마크가 실행 중입니다');
+    const { datasets: sizes = {}, ...rest } = overrides;
+    const config = { ...currentConfig(), ...rest, seed: String(rest.seed ?? seed) };
+    const unknownLibraries = config.libraries.filter(library => !CHART_LIBRARIES.includes(library));
+    if (unknownLibraries.length) throw new Error(`알 수 없는 라이브러리: ${unknownLibraries.join(', ')}`);
+    const unknownTypes = config.chartTypes.filter(chartType => !CHART_TYPES.includes(chartType));
+    if (unknownTypes.length) throw new Error(`알 수 없는 차트 타입: ${unknownTypes.join(', ')}`);
+    if (!EXECUTION_ORDERS.some(({ id }) => id === config.order)) throw new Error(`알 수 없는 실행 순서: ${config.order}`);
+    // 크기는 프리셋 id 또는 { width, height }
+    config.chartSizes = config.chartSizes.map(size => {
+      const preset = typeof size === 'string' ? CHART_SIZES.find(({ id }) => id === size) : size;
+      if (!preset) throw new Error(`알 수 없는 차트 크기: ${size}`);
+      if (!(preset.width > 0 && preset.height > 0)) throw new Error(`잘못된 차트 크기: ${JSON.stringify(size)}`);
+      return { width: preset.width, height: preset.height };
+    });
+    if (config.pixelRatio != null && !(config.pixelRatio > 0)) throw new Error(`잘못된 pixelRatio: ${config.pixelRatio}`);
+    config.datasets = Object.fromEntries(config.chartTypes.map(chartType => [chartType, { ...DEFAULT_DATASETS[chartType], ...sizes[chartType] }]));
+    return runBenchmark(config);
+  };
+  const runHeadlessRef = useRef(runHeadless);
+  runHeadlessRef.current = runHeadless;
+
+  // /benchmark?headless 로 열었을 때만 window.__chartBenchmark.run(config) 노출
+  useEffect(() => {
+    if (!new URLSearchParams(window.location.search).has('headless')) return;
+    window.__chartBenchmark = { run: config => runHeadlessRef.current(config) };
+    return () => { delete window.__chartBenchmark; };
+  }, []);
+
+  // 저장된 실행을 평균/상세 표에 다시 표시
+  const loadRun = async (id) => {
+    const run = await getRun(id);
+    if (!run) return;
+    setResults(run.results || []);
+    setSkipped(run.skipped || []);
+    setColdStarts(run.coldStarts || []);
+    setLoadedRunId(id);
+  };
+
+  // 실행 전체를 버전 있는 JSON 으로 내보내기 (설정 + 환경 + 원본 측정값, 다시 가져오기 가능)
+  // 저장된 실행을 보고 있으면 그 실행의 설정/환경을 사용
+  const exportToJSON = async () => {
+    if (results.length === 0 && skipped.length === 0) return;
+    const stored = loadedRunId != null ? await getRun(loadedRunId) : null;
+    const run = stored || {
+      name: `${new Date().toLocaleString()} · ${selectedLibraries.join('/')} · ${selectedChartTypes.join('/')}`,
+      config: currentConfig(),
+      environment: collectEnvironment(),
+      results,
+      skipped,
+      coldStarts
+    };
+    const blob = new Blob([JSON.stringify(serializeRun(run), null, 2)], { type: 'application/json' });
+    downloadBlob(blob, `chart_performance_${new Date().toISOString().slice(0, 10)}.json`);
+  };
+
+  // JSON 실행 파일 가져오기 → 검증 후 기록에 저장하고 결과 화면에 표시
+  const importRunFile = async (file) => {
+    if (!file) return;
+    try {
+      const run = parseRunFile(JSON.parse(await file.text()));
+      setResults(run.results);
+      setSkipped(run.skipped);
+      setColdStarts(run.coldStarts);
+      setImportError(null);
+      try {
+        const id = await saveRun(run);
+        setLoadedRunId(id);
+        setHistoryVersion(v => v + 1);
+      } catch (e) {
+        setLoadedRunId(null);
+        console.warn('실행 기록 저장 실패:', e);
+      }
+    } catch (e) {
+      setImportError(`실행 파일을 가져올 수 없습니다: ${e.message}`);
+    }
   };
 
   // 결과를 CSV로 내보내기
   const exportToCSV = () => {
+    if (results.length === 0 && skipped.length === 0) return;
+    downloadCSV(resultsToCSV(results, skipped), `chart_performance_${new Date().toISOString().slice(0, 10)}.csv`);
+  };
+
+  // 통계 요약을 CSV로 내보내기 (그룹 × 지표 한 줄씩)
+  const exportSummaryCSV = () => {
     if (results.length === 0) return;
+    const rows = STAT_METRICS.flatMap(({ key }) => getStatSummary(key).map(row => ({ ...row, metric: key })));
+    downloadCSV(summaryToCSV(rows), `chart_performance_summary_${new Date().toISOString().slice(0, 10)}.csv`);
+  };
+
+  const downloadCSV = (csvContent, filename) => {
+    downloadBlob(new Blob([csvContent], { type: 'text/csv;charset=utf-8;' }), filename);
+  };
 
-    const headers = [
-      'Library', 'Chart Type', 'Iteration', 'Dataset', 'Render Time (ms)', 
-      'DOM Nodes', 'Bundle Size (KB)', 'Data Processing (ms)', 
-      'Memory Usage (KB)', 'FPS', 'FCP (ms)', 'LCP (ms)', 'TTI (ms)'
-    ];
-
-    const csvData = results.map(result => [
-      result.library,
-      result.chartType,
-      result.iteration,
-      Object.entries(result.datasetParams).map(([key, value]) => `${key}:${value}`).join(' | '), // 파이프로 구분
-      result.renderTime,
-      result.domNodes,
-      result.bundleSize,
-      result.dataProcessingTime,
-      result.memoryUsage,
-      result.fps,
-      result.webVitals.fcp,
-      result.webVitals.lcp,
-      result.webVitals.tti
-    ]);
-
-    const csvContent = [headers, ...csvData]
-      .map(row => row.join(','))
-      .join('\n');
-
-    const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
+  const downloadBlob = (blob, filename) => {
     const link = document.createElement('a');
     const url = URL.createObjectURL(blob);
     link.setAttribute('href', url);
-    link.setAttribute('download', `chart_performance_${new Date().toISOString().slice(0, 10)}.csv`);
+    link.setAttribute('download', filename);
     link.style.visibility = 'hidden';
     document.body.appendChild(link);
     link.click();
     document.body.removeChild(link);
   };
 
+  // 라이브러리/렌더러/타입/데이터셋 별 그룹 (측정 순서 유지)
+  const groupResults = () => {
+    const grouped = new Map();
+    results.forEach(result => {
+      const key = groupKey(result);
+      if (!grouped.has(key)) grouped.set(key, []);
+      grouped.get(key).push(result);
+    });
+    return Array.from(grouped.values());
+  };
+
+  // 통계에 포함할 표본 (기록된 앞쪽 excludeFirst 회차 제외, 최소 1개는 유지)
+  const includedSamples = (group) => group.slice(Math.min(excludeFirst, group.length - 1));
+
+  // 대시보드 차트용 표본 (입력 변경 등 다른 렌더링마다 차트를 다시 그리지 않도록 메모)
+  // eslint-disable-next-line react-hooks/exhaustive-deps
+  const dashboardSamples = useMemo(() => groupResults().flatMap(includedSamples).map(r => ({ ...r, library: libraryLabel(r) })), [results, excludeFirst]);
+
+  // 지표별 표본 값 (옵션에 따라 IQR 이상치 제거)
+  const metricValues = (group, metric) => {
+    // hover 미측정 회차(null)는 제외
+    const values = includedSamples(group).map(r => r[metric]).filter(Number.isFinite);
+    if (!rejectOutliers) return values;
+    const bounds = iqrBounds(values);
+    return values.filter(v => !isOutlier(v, bounds));
+  };
+
+  // 선택 지표 기준 IQR 이상치로 표시할 측정 결과
+  const getOutliers = () => {
+    const flagged = new Set();
+    groupResults().forEach(group => {
+      const included = includedSamples(group);
+      const bounds = iqrBounds(included.map(r => r[statMetric]));
+      included.forEach(r => { if (Number.isFinite(r[statMetric]) && isOutlier(r[statMetric], bounds)) flagged.add(r); });
+    });
+    return flagged;
+  };
+
   // 평균 결과 계산
   const getAverageResults = () => {
     if (results.length === 0) return [];
 
-    const grouped = results.reduce((acc, result) => {
-      const datasetKey = JSON.stringify(result.datasetParams);
-      const key = `${result.library}-${result.chartType}-${datasetKey}`;
-      if (!acc[key]) {
-        acc[key] = [];
-      }
-      acc[key].push(result);
-      return acc;
-    }, {});
+    const mean = values => values.length ? values.reduce((sum, v) => sum + v, 0) / values.length : null;
 
-    return Object.entries(grouped).map(([key, results]) => {
-      const [library, chartType, datasetParamsStr] = key.split('-', 3);
-      const datasetParams = JSON.parse(datasetParamsStr);
+    return groupResults().map(group => {
+      const { library, renderer, chartType, width, height, pixelRatio, datasetParams } = group[0];
+      const included = includedSamples(group);
       const avg = {
         library,
+        renderer,
         chartType,
+        width,
+        height,
+        pixelRatio,
         datasetParams,
-        count: results.length,
-        renderTime: results.reduce((sum, r) => sum + r.renderTime, 0) / results.length,
-        domNodes: results.reduce((sum, r) => sum + r.domNodes, 0) / results.length,
-        bundleSize: results[0].bundleSize, // 정적 값
-        dataProcessingTime: results.reduce((sum, r) => sum + r.dataProcessingTime, 0) / results.length,
-        memoryUsage: results.reduce((sum, r) => sum + r.memoryUsage, 0) / results.length,
-        fps: results.reduce((sum, r) => sum + r.fps, 0) / results.length,
+        count: included.length,
+        dataPoints: group[0].dataPoints,
+        renderTime: mean(metricValues(group, 'renderTime')),
+        domNodes: mean(included.map(r => r.domNodes)),
+        bundleSize: group[0].bundleSize, // 라이브러리별 고정 값
+        dataProcessingTime: mean(metricValues(group, 'dataProcessingTime')),
+        memoryUsage: mean(metricValues(group, 'memoryUsage')),
+        fps: mean(metricValues(group, 'fps')),
+        updateTime: mean(metricValues(group, 'updateTime')),
+        longTasks: mean(metricValues(group, 'longTasks')),
+        totalBlockingTime: mean(metricValues(group, 'totalBlockingTime')),
+        longestTask: mean(metricValues(group, 'longestTask')),
+        longestFrame: mean(metricValues(group, 'longestFrame')),
+        hoverLatency: mean(metricValues(group, 'hoverLatency')),
+        hoverLatencyP95: mean(metricValues(group, 'hoverLatencyP95')),
         webVitals: {
-          fcp: results.reduce((sum, r) => sum + r.webVitals.fcp, 0) / results.length,
-          lcp: results.reduce((sum, r) => sum + r.webVitals.lcp, 0) / results.length,
-          tti: results.reduce((sum, r) => sum + r.webVitals.tti, 0) / results.length
+          fcp: mean(included.map(r => r.webVitals.fcp)),
+          lcp: mean(included.map(r => r.webVitals.lcp)),
+          tti: mean(included.map(r => r.webVitals.tti))
         }
       };
       
@@ -945,6 +1185,66 @@ export default function PerformanceBenchmark() {
     });
   };
 
+  // 그룹별 통계 요약 (min/median/p90/p95/max/stddev/95% CI, 이상치 수)
+  const getStatSummary = (metric) => {
+    return groupResults().map(group => {
+      const { library, renderer, chartType, width, height, datasetParams } = group[0];
+      const included = includedSamples(group);
+      const bounds = iqrBounds(included.map(r => r[metric]));
+      return {
+        library,
+        renderer,
+        chartType,
+        width,
+        height,
+        datasetParams,
+        stats: summarize(metricValues(group, metric)),
+        outliers: included.filter(r => Number.isFinite(r[metric]) && isOutlier(r[metric], bounds)).length
+      };
+    }).filter(row => row.stats);
+  };
+
+  // 차트 타입별 라이브러리(렌더러, 여러 크기 측정 시 크기) 비교 (평균 렌더링 시간, 미지원 N/A / 실패 ERROR)
+  const getTypeSummary = () => {
+    const averages = getAverageResults();
+    const entries = [...results, ...skipped];
+    const multipleSizes = new Set(entries.map(sizeLabel)).size > 1;
+    const columnLabel = r => multipleSizes ? `${libraryLabel(r)} @ ${sizeLabel(r)}` : libraryLabel(r);
+    const libraries = [...new Set(CHART_LIBRARIES.flatMap(lib => entries.filter(r => r.library === lib).map(columnLabel)))];
+    const chartTypes = CHART_TYPES.filter(type => entries.some(r => r.chartType === type));
+    const rows = chartTypes.map(chartType => ({
+      chartType,
+      cells: libraries.map(label => {
+        const avg = averages.find(a => columnLabel(a) === label && a.chartType === chartType);
+        if (avg) return avg.renderTime;
+        const skip = skipped.find(item => columnLabel(item) === label && item.chartType === chartType);
+        return skip ? skip.status : '-';
+      })
+    }));
+    return { libraries, rows };
+  };
+
+  const typeSummary = getTypeSummary();
+  const outliers = getOutliers();
+  const orderEffects = orderEffect(groupResults().map(includedSamples), statMetric);
+  const averages = getAverageResults();
+  // 같은 라이브러리/타입을 여러 렌더러로 측정한 그룹 (렌더러 비교)
+  const rendererRows = averages.filter(avg => averages.some(other =>
+    other.library === avg.library && other.chartType === avg.chartType && other.width === avg.width && other.height === avg.height
+      && other.renderer !== avg.renderer
+  ));
+  // 같은 라이브러리/렌더러/타입/데이터셋을 여러 크기로 측정한 그룹 (픽셀 수 순, 가장 작은 크기 대비 배율)
+  const sizeRows = averages
+    .filter(avg => avg.width != null)
+    .map(avg => {
+      const peers = averages.filter(other => other.width != null && other.library === avg.library && other.renderer === avg.renderer
+        && other.chartType === avg.chartType && JSON.stringify(other.datasetParams) === JSON.stringify(avg.datasetParams));
+      const base = peers.reduce((min, other) => other.width * other.height < min.width * min.height ? other : min, avg);
+      return { ...avg, peers: peers.length, devicePixels: Math.round(avg.width * avg.height * avg.pixelRatio ** 2), scale: avg.renderTime / base.renderTime };
+    })
+    .filter(row => row.peers > 1)
+    .sort((a, b) => libraryLabel(a).localeCompare(libraryLabel(b)) || a.chartType.localeCompare(b.chartType) || a.devicePixels - b.devicePixels);
+
   return (
     <div style={{ padding: '1rem', fontFamily: 'sans-serif', maxWidth: '1400px', margin: '0 auto' }}>
       <h1>📊 Chart Performance Benchmark</h1>
@@ -975,6 +1275,102 @@ export default function PerformanceBenchmark() {
               style={{ marginLeft: '0.5rem', width: '80px', padding: '0.25rem' }}
             />
           </label>
+          <label style={{ display: 'block', marginBottom: '0.5rem' }}>
+            워밍업 실행 (측정 전, 기록 안 함):
+            <input
+              type="number"
+              value={warmupRuns}
+              onChange={(e) => setWarmupRuns(Math.max(0, parseInt(e.target.value) || 0))}
+              min="0"
+              style={{ marginLeft: '0.5rem', width: '60px', padding: '0.25rem' }}
+            />
+          </label>
+          <label style={{ display: 'block', marginBottom: '0.5rem' }}>
+            데이터 시드:
+            <input
+              value={seed}
+              onChange={(e) => setSeed(e.target.value)}
+              placeholder="비우면 랜덤"
+              style={{ marginLeft: '0.5rem', width: '80px', padding: '0.25rem' }}
+            />
+          </label>
+          <label style={{ display: 'block', marginBottom: '0.5rem' }}>
+            <input
+              type="checkbox"
+              checked={measureHover}
+              onChange={(e) => setMeasureHover(e.target.checked)}
+              style={{ marginRight: '0.5rem' }}
+            />
+            Hover 지연 측정 (tooltip/crosshair)
+          </label>
+          <label style={{ display: 'block', marginBottom: '0.5rem' }}>
+            <input
+              type="checkbox"
+              checked={compareRenderers}
+              onChange={(e) => setCompareRenderers(e.target.checked)}
+              style={{ marginRight: '0.5rem' }}
+            />
+            렌더러 비교 (ECharts canvas / svg 각각 측정)
+          </label>
+          <div style={{ marginBottom: '0.5rem' }}>
+            차트 크기:
+            {CHART_SIZES.map(({ id, label, width, height }) => (
+              <label key={id} style={{ display: 'block', marginLeft: '1rem' }}>
+                <input
+                  type="checkbox"
+                  checked={chartSizes.includes(id)}
+                  onChange={() => toggleChartSize(id)}
+                  style={{ marginRight: '0.5rem' }}
+                />
+                {label} ({width}×{height})
+              </label>
+            ))}
+            <label style={{ display: 'block', marginLeft: '1rem' }}>
+              <input
+                type="checkbox"
+                checked={chartSizes.includes('custom')}
+                onChange={() => toggleChartSize('custom')}
+                style={{ marginRight: '0.5rem' }}
+              />
+              직접 입력
+              <input
+                type="number"
+                value={customSize.width}
+                onChange={(e) => setCustomSize(prev => ({ ...prev, width: Math.max(1, parseInt(e.target.value) || 1) }))}
+                min="1"
+                style={{ marginLeft: '0.5rem', width: '60px', padding: '0.125rem' }}
+              />
+              ×
+              <input
+                type="number"
+                value={customSize.height}
+                onChange={(e) => setCustomSize(prev => ({ ...prev, height: Math.max(1, parseInt(e.target.value) || 1) }))}
+                min="1"
+                style={{ width: '60px', padding: '0.125rem' }}
+              />
+            </label>
+          </div>
+          <label style={{ display: 'block', marginBottom: '0.5rem' }}>
+            devicePixelRatio:
+            <select
+              value={pixelRatio}
+              onChange={(e) => setPixelRatio(e.target.value === '' ? '' : Number(e.target.value))}
+              style={{ marginLeft: '0.5rem' }}
+            >
+              {PIXEL_RATIOS.map(ratio => (
+                <option key={ratio} value={ratio}>{ratio === '' ? `브라우저 기본 (${window.devicePixelRatio})` : `${ratio}×`}</option>
+              ))}
+            </select>
+            <div style={{ fontSize: '0.75rem', color: '#666' }}>
+              ECharts / Chart.js 만 강제 적용 (uPlot 은 페이지 DPR 고정, ApexCharts 는 SVG). 모든 라이브러리에 적용하려면 헤드리스 러너의 pixelRatio 를 사용하세요.
+            </div>
+          </label>
+          <label style={{ display: 'block', marginBottom: '0.5rem' }}>
+            실행 순서:
+            <select value={executionOrder} onChange={(e) => setExecutionOrder(e.target.value)} style={{ marginLeft: '0.5rem' }}>
+              {EXECUTION_ORDERS.map(({ id, label }) => <option key={id} value={id}>{label}</option>)}
+            </select>
+          </label>
           
           <div style={{ marginTop: '1rem' }}>
             <strong>라이브러리 선택:</strong>
@@ -1012,6 +1408,11 @@ export default function PerformanceBenchmark() {
                   style={{ marginRight: '0.5rem' }}
                 />
                 {type}
+                {unsupportedLibraries(type).length > 0 && (
+                  <span style={{ fontSize: '0.75rem', color: '#999', marginLeft: '0.25rem' }}>
+                    (N/A: {unsupportedLibraries(type).join(', ')})
+                  </span>
+                )}
               </label>
             ))}
           </div>
@@ -1026,7 +1427,7 @@ export default function PerformanceBenchmark() {
         }}>
           <h3>📊 데이터셋 크기</h3>
           <div style={{ maxHeight: '200px', overflowY: 'auto' }}>
-            {CHART_TYPES.map(chartType => (
+            {CHART_TYPES.filter(chartType => selectedChartTypes.includes(chartType)).map(chartType => (
               <div key={chartType} style={{ marginBottom: '0.75rem' }}>
                 <strong>{chartType}:</strong>
                 <div style={{ fontSize: '0.875rem', marginTop: '0.25rem' }}>
@@ -1052,8 +1453,8 @@ export default function PerformanceBenchmark() {
       {/* 실행 버튼 */}
       <div style={{ textAlign: 'center', marginBottom: '2rem' }}>
         <button
-          onClick={runBenchmark}
-          disabled={isRunning || selectedLibraries.length === 0 || selectedChartTypes.length === 0}
+          onClick={() => runBenchmark()}
+          disabled={isRunning || selectedLibraries.length === 0 || selectedChartTypes.length === 0 || chartSizes.length === 0}
           style={{
             padding: '1rem 2rem',
             fontSize: '1.125rem',
@@ -1066,8 +1467,45 @@ export default function PerformanceBenchmark() {
         >
           {isRunning ? '측정 중...' : '🚀 벤치마크 시작'}
         </button>
+
+        {runState !== 'idle' && (
+          <>
+            <button
+              onClick={runState === 'paused' ? resumeRun : pauseRun}
+              disabled={runState === 'stopping'}
+              style={{
+                padding: '1rem 2rem',
+                fontSize: '1.125rem',
+                background: runState === 'stopping' ? '#ccc' : '#f59e0b',
+                color: 'white',
+                border: 'none',
+                borderRadius: '8px',
+                cursor: runState === 'stopping' ? 'not-allowed' : 'pointer',
+                marginLeft: '1rem'
+              }}
+            >
+              {runState === 'paused' ? '▶ 재개' : '⏸ 일시정지'}
+            </button>
+            <button
+              onClick={cancelRun}
+              disabled={runState === 'stopping'}
+              style={{
+                padding: '1rem 2rem',
+                fontSize: '1.125rem',
+                background: runState === 'stopping' ? '#ccc' : '#dc2626',
+                color: 'white',
+                border: 'none',
+                borderRadius: '8px',
+                cursor: runState === 'stopping' ? 'not-allowed' : 'pointer',
+                marginLeft: '1rem'
+              }}
+            >
+              {runState === 'stopping' ? '중지 중...' : '⏹ 중지'}
+            </button>
+          </>
+        )}
         
-        {results.length > 0 && (
+        {(results.length > 0 || skipped.length > 0) && (
           <button
             onClick={exportToCSV}
             style={{
@@ -1084,6 +1522,401 @@ export default function PerformanceBenchmark() {
             📥 CSV 내보내기
           </button>
         )}
+
+        {results.length > 0 && (
+          <button
+            onClick={exportSummaryCSV}
+            style={{
+              padding: '1rem 2rem',
+              fontSize: '1.125rem',
+              background: '#0d9488',
+              color: 'white',
+              border: 'none',
+              borderRadius: '8px',
+              cursor: 'pointer',
+              marginLeft: '1rem'
+            }}
+          >
+            📥 통계 CSV
+          </button>
+        )}
+
+        {(results.length > 0 || skipped.length > 0) && (
+          <button
+            onClick={exportToJSON}
+            style={{
+              padding: '1rem 2rem',
+              fontSize: '1.125rem',
+              background: '#7c3aed',
+              color: 'white',
+              border: 'none',
+              borderRadius: '8px',
+              cursor: 'pointer',
+              marginLeft: '1rem'
+            }}
+          >
+            📥 JSON 내보내기
+          </button>
+        )}
+
+        <label style={{ marginLeft: '1rem', fontSize: '0.875rem' }}>
+          📤 JSON 가져오기:
+          <input
+            type="file"
+            accept="application/json,.json"
+            disabled={isRunning}
+            onChange={(e) => { importRunFile(e.target.files[0]); e.target.value = ''; }}
+            style={{ marginLeft: '0.5rem' }}
+          />
+        </label>
+        {importError && <div style={{ color: '#dc2626', fontSize: '0.875rem', marginTop: '0.5rem' }}>{importError}</div>}
+      </div>
+
+      {/* 데이터 크기 스윕 */}
+      <div style={{ 
+        background: '#f9f9f9', 
+        padding: '1rem', 
+        borderRadius: '8px',
+        border: '1px solid #ddd',
+        marginBottom: '2rem'
+      }}>
+        <h3 style={{ marginTop: 0 }}>📏 데이터 크기 스윕 (큰 데이터 임계점)</h3>
+        <div style={{ display: 'flex', flexWrap: 'wrap', gap: '1rem', alignItems: 'center', fontSize: '0.875rem' }}>
+          <label>
+            차트 타입:
+            <select value={sweepConfig.chartType} onChange={(e) => updateSweepConfig('chartType', e.target.value)} style={{ marginLeft: '0.5rem' }}>
+              {SWEEP_TYPES.map(type => <option key={type} value={type}>{type}</option>)}
+            </select>
+          </label>
+          {[['start', '시작 포인트'], ['end', '최대 포인트'], ['budget', '시간 예산(ms)'], ['repeats', '단계별 반복']].map(([key, label]) => (
+            <label key={key}>
+              {label}:
+              <input
+                type="number"
+                value={sweepConfig[key]}
+                onChange={(e) => updateSweepConfig(key, e.target.value)}
+                min="1"
+                style={{ marginLeft: '0.5rem', width: '90px', padding: '0.125rem' }}
+              />
+            </label>
+          ))}
+          <label>
+            증가 배수:
+            <select value={sweepConfig.factor} onChange={(e) => updateSweepConfig('factor', e.target.value)} style={{ marginLeft: '0.5rem' }}>
+              <option value={2}>×2</option>
+              <option value={10}>×10</option>
+            </select>
+          </label>
+          <button
+            onClick={runSweepBenchmark}
+            disabled={isRunning || selectedLibraries.length === 0 || !!sweepError}
+            style={{
+              padding: '0.5rem 1rem',
+              background: isRunning ? '#ccc' : '#9333ea',
+              color: 'white',
+              border: 'none',
+              borderRadius: '6px',
+              cursor: isRunning ? 'not-allowed' : 'pointer'
+            }}
+          >
+            📏 스윕 시작
+          </button>
+        </div>
+        {sweepError && <div style={{ color: '#dc2626', fontSize: '0.875rem', marginTop: '0.5rem' }}>{sweepError}</div>}
+        <div style={{ marginTop: '0.5rem', fontSize: '0.75rem', color: '#666' }}>
+          선택된 라이브러리마다 렌더링 시간이 예산을 넘거나 차트 생성이 실패할 때까지 포인트 수를 늘립니다. (다른 파라미터는 데이터셋 크기 설정값 사용)
+        </div>
+      </div>
+
+      {/* 줌/팬 처리량 */}
+      <div style={{ 
+        background: '#f9f9f9', 
+        padding: '1rem', 
+        borderRadius: '8px',
+        border: '1px solid #ddd',
+        marginBottom: '2rem'
+      }}>
+        <h3 style={{ marginTop: 0 }}>🔍 줌/팬 처리량</h3>
+        <div style={{ display: 'flex', flexWrap: 'wrap', gap: '1rem', alignItems: 'center', fontSize: '0.875rem' }}>
+          <label>
+            차트 타입:
+            <select value={zoomConfig.chartType} onChange={(e) => updateZoomConfig('chartType', e.target.value)} style={{ marginLeft: '0.5rem' }}>
+              {ZOOM_TYPES.map(type => <option key={type} value={type}>{type}</option>)}
+            </select>
+          </label>
+          {[['points', '포인트 수'], ['steps', '조작 단계'], ['repeats', '반복 회수']].map(([key, label]) => (
+            <label key={key}>
+              {label}:
+              <input
+                type="number"
+                value={zoomConfig[key]}
+                onChange={(e) => updateZoomConfig(key, e.target.value)}
+                min="1"
+                style={{ marginLeft: '0.5rem', width: '90px', padding: '0.125rem' }}
+              />
+            </label>
+          ))}
+          <button
+            onClick={runZoomBenchmark}
+            disabled={isRunning || selectedLibraries.length === 0}
+            style={{
+              padding: '0.5rem 1rem',
+              background: isRunning ? '#ccc' : '#0d9488',
+              color: 'white',
+              border: 'none',
+              borderRadius: '6px',
+              cursor: isRunning ? 'not-allowed' : 'pointer'
+            }}
+          >
+            🔍 줌/팬 측정
+          </button>
+        </div>
+        <div style={{ marginTop: '0.5rem', fontSize: '0.75rem', color: '#666' }}>
+          단계의 앞 절반은 가운데 기준으로 10%까지 확대, 뒤 절반은 확대 상태로 왼쪽 → 오른쪽 이동하며 조작 1회당 다시 그리기(페인트 완료까지) 시간을 측정합니다.
+        </div>
+      </div>
+
+      {/* 리사이즈 응답성 */}
+      <div style={{ 
+        background: '#f9f9f9', 
+        padding: '1rem', 
+        borderRadius: '8px',
+        border: '1px solid #ddd',
+        marginBottom: '2rem'
+      }}>
+        <h3 style={{ marginTop: 0 }}>↔️ 리사이즈 응답성</h3>
+        <div style={{ display: 'flex', flexWrap: 'wrap', gap: '1rem', alignItems: 'center', fontSize: '0.875rem' }}>
+          <label>
+            차트 타입:
+            <select value={resizeConfig.chartType} onChange={(e) => updateResizeConfig('chartType', e.target.value)} style={{ marginLeft: '0.5rem' }}>
+              {CHART_TYPES.map(type => <option key={type} value={type}>{type}</option>)}
+            </select>
+          </label>
+          {[['from', '시작 너비(px)'], ['to', '끝 너비(px)'], ['steps', '단계 (편도)'], ['repeats', '반복 회수']].map(([key, label]) => (
+            <label key={key}>
+              {label}:
+              <input
+                type="number"
+                value={resizeConfig[key]}
+                onChange={(e) => updateResizeConfig(key, e.target.value)}
+                min="1"
+                style={{ marginLeft: '0.5rem', width: '90px', padding: '0.125rem' }}
+              />
+            </label>
+          ))}
+          <button
+            onClick={runResizeBenchmark}
+            disabled={isRunning || selectedLibraries.length === 0}
+            style={{
+              padding: '0.5rem 1rem',
+              background: isRunning ? '#ccc' : '#4f46e5',
+              color: 'white',
+              border: 'none',
+              borderRadius: '6px',
+              cursor: isRunning ? 'not-allowed' : 'pointer'
+            }}
+          >
+            ↔️ 리사이즈 측정
+          </button>
+        </div>
+        <div style={{ marginTop: '0.5rem', fontSize: '0.75rem', color: '#666' }}>
+          시작 너비로 마운트한 뒤 컨테이너 너비를 끝 너비까지 늘렸다가 다시 줄이며, 한 번 바꿀 때마다 어댑터 resize 부터 페인트 완료까지의 시간을 측정합니다. (높이 {CHART_HEIGHT}px 고정, 데이터셋 크기는 타입별 설정값 사용)
+        </div>
+      </div>
+
+      {/* 실시간 스트리밍 */}
+      <div style={{ 
+        background: '#f9f9f9', 
+        padding: '1rem', 
+        borderRadius: '8px',
+        border: '1px solid #ddd',
+        marginBottom: '2rem'
+      }}>
+        <h3 style={{ marginTop: 0 }}>📡 실시간 스트리밍 (line)</h3>
+        <div style={{ display: 'flex', flexWrap: 'wrap', gap: '1rem', alignItems: 'center', fontSize: '0.875rem' }}>
+          <label>
+            윈도우 크기(시리즈당):
+            <input
+              value={streamConfig.windows}
+              onChange={(e) => updateStreamConfig('windows', e.target.value)}
+              style={{ marginLeft: '0.5rem', width: '160px', padding: '0.125rem' }}
+            />
+          </label>
+          {[['pointsPerTick', '틱당 포인트'], ['tickMs', '틱 주기(ms)'], ['duration', '측정 시간(ms)']].map(([key, label]) => (
+            <label key={key}>
+              {label}:
+              <input
+                type="number"
+                value={streamConfig[key]}
+                onChange={(e) => updateStreamConfig(key, e.target.value)}
+                min="1"
+                style={{ marginLeft: '0.5rem', width: '90px', padding: '0.125rem' }}
+              />
+            </label>
+          ))}
+          <button
+            onClick={runStreamBenchmark}
+            disabled={isRunning || selectedLibraries.length === 0}
+            style={{
+              padding: '0.5rem 1rem',
+              background: isRunning ? '#ccc' : '#f59e0b',
+              color: 'white',
+              border: 'none',
+              borderRadius: '6px',
+              cursor: isRunning ? 'not-allowed' : 'pointer'
+            }}
+          >
+            📡 스트리밍 측정
+          </button>
+        </div>
+        <div style={{ marginTop: '0.5rem', fontSize: '0.75rem', color: '#666' }}>
+          윈도우 크기만큼 미리 채운 차트에 틱마다 시리즈별로 포인트를 추가하고 오래된 포인트는 버립니다. (시리즈 수는 데이터셋 크기의 line 설정값 사용)
+        </div>
+      </div>
+
+      {/* 대시보드 부하 */}
+      <div style={{ 
+        background: '#f9f9f9', 
+        padding: '1rem', 
+        borderRadius: '8px',
+        border: '1px solid #ddd',
+        marginBottom: '2rem'
+      }}>
+        <h3 style={{ marginTop: 0 }}>🧩 대시보드 부하 (여러 차트 동시 마운트)</h3>
+        <div style={{ display: 'flex', flexWrap: 'wrap', gap: '1rem', alignItems: 'center', fontSize: '0.875rem' }}>
+          {[['charts', '차트 수'], ['columns', '열 수'], ['chartWidth', '차트 너비'], ['chartHeight', '차트 높이'], ['viewportHeight', '화면 높이'], ['scrollStep', '스크롤(px/프레임)']].map(([key, label]) => (
+            <label key={key}>
+              {label}:
+              <input
+                type="number"
+                value={dashboardConfig[key]}
+                onChange={(e) => updateDashboardConfig(key, e.target.value)}
+                min="1"
+                style={{ marginLeft: '0.5rem', width: '70px', padding: '0.125rem' }}
+              />
+            </label>
+          ))}
+          <label>
+            <input
+              type="checkbox"
+              checked={dashboardConfig.lazy}
+              onChange={(e) => updateDashboardConfig('lazy', e.target.checked)}
+              style={{ marginRight: '0.5rem' }}
+            />
+            지연 마운트 비교 (IntersectionObserver)
+          </label>
+          <button
+            onClick={runDashboardBenchmark}
+            disabled={isRunning || selectedLibraries.length === 0 || selectedChartTypes.length === 0}
+            style={{
+              padding: '0.5rem 1rem',
+              background: isRunning ? '#ccc' : '#0d9488',
+              color: 'white',
+              border: 'none',
+              borderRadius: '6px',
+              cursor: isRunning ? 'not-allowed' : 'pointer'
+            }}
+          >
+            🧩 대시보드 측정
+          </button>
+        </div>
+        <div style={{ marginTop: '0.5rem', fontSize: '0.75rem', color: '#666' }}>
+          라이브러리마다 선택된 차트 타입을 번갈아 배치한 격자를 화면 높이만큼의 스크롤 영역에 만들고, 모든 차트를 동시에 마운트해 페인트까지의 시간을 잰 뒤 끝까지 스크롤하며 프레임 끊김을 측정합니다.
+          지연 마운트는 처음 보이는 차트만 그리고 나머지는 스크롤로 화면에 들어올 때 마운트합니다. (데이터셋 크기는 타입별 설정값 사용)
+        </div>
+      </div>
+
+      {/* 메모리 누수 검사 */}
+      <div style={{ 
+        background: '#f9f9f9', 
+        padding: '1rem', 
+        borderRadius: '8px',
+        border: '1px solid #ddd',
+        marginBottom: '2rem'
+      }}>
+        <h3 style={{ marginTop: 0 }}>🧪 메모리 누수 검사 (반복 마운트/해제)</h3>
+        <div style={{ display: 'flex', flexWrap: 'wrap', gap: '1rem', alignItems: 'center', fontSize: '0.875rem' }}>
+          {[['cycles', '반복 회수'], ['threshold', '기울기 임계(KB/회)']].map(([key, label]) => (
+            <label key={key}>
+              {label}:
+              <input
+                type="number"
+                value={leakConfig[key]}
+                onChange={(e) => updateLeakConfig(key, e.target.value)}
+                min="1"
+                style={{ marginLeft: '0.5rem', width: '90px', padding: '0.125rem' }}
+              />
+            </label>
+          ))}
+          <button
+            onClick={runLeakBenchmark}
+            disabled={isRunning || selectedLibraries.length === 0 || selectedChartTypes.length === 0}
+            style={{
+              padding: '0.5rem 1rem',
+              background: isRunning ? '#ccc' : '#be123c',
+              color: 'white',
+              border: 'none',
+              borderRadius: '6px',
+              cursor: isRunning ? 'not-allowed' : 'pointer'
+            }}
+          >
+            🧪 누수 검사
+          </button>
+        </div>
+        <div style={{ marginTop: '0.5rem', fontSize: '0.75rem', color: '#666' }}>
+          선택된 라이브러리 × 차트 타입마다 같은 데이터로 마운트/해제를 반복하며 회차별 힙을 기록하고 기울기를 구합니다. (앞쪽 10% 회차 제외)
+          힙 측정은 Chrome 전용이며, 정확한 값과 분리 DOM 노드 검사를 위해 <code>--js-flags=--expose-gc</code> 로 실행하세요.
+        </div>
+      </div>
+
+      {/* 실행 기록 */}
+      <BenchmarkHistory refreshKey={historyVersion} activeId={loadedRunId} onLoad={loadRun} />
+
+      {/* 실행 비교 (회귀 확인) */}
+      <RunComparison refreshKey={historyVersion} metrics={STAT_METRICS} excludeFirst={excludeFirst} />
+
+      {/* 번들 크기 (빌드 측정) */}
+      <div style={{ 
+        background: '#f9f9f9', 
+        padding: '1rem', 
+        borderRadius: '8px',
+        border: '1px solid #ddd',
+        marginBottom: '2rem'
+      }}>
+        <h3 style={{ marginTop: 0 }}>📦 번들 크기 (빌드 측정)</h3>
+        {bundleManifest ? (
+          <>
+            <table style={{ borderCollapse: 'collapse', fontSize: '0.875rem' }}>
+              <thead>
+                <tr style={{ background: '#f0f0f0' }}>
+                  <th style={{ border: '1px solid #ddd', padding: '0.25rem 0.5rem' }}>엔트리</th>
+                  <th style={{ border: '1px solid #ddd', padding: '0.25rem 0.5rem' }}>raw(KB)</th>
+                  <th style={{ border: '1px solid #ddd', padding: '0.25rem 0.5rem' }}>gzip(KB)</th>
+                  <th style={{ border: '1px solid #ddd', padding: '0.25rem 0.5rem' }}>brotli(KB)</th>
+                </tr>
+              </thead>
+              <tbody>
+                {[...Object.entries(bundleManifest.libraries), ...Object.entries(bundleManifest.variants || {})].map(([id, entry]) => (
+                  <tr key={id}>
+                    <td style={{ border: '1px solid #ddd', padding: '0.25rem 0.5rem' }}>{entry.label || id}</td>
+                    {['raw', 'gzip', 'brotli'].map(kind => (
+                      <td key={kind} style={{ border: '1px solid #ddd', padding: '0.25rem 0.5rem', textAlign: 'right' }}>
+                        {(entry[kind] / 1024).toFixed(1)}
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <div style={{ marginTop: '0.5rem', fontSize: '0.75rem', color: '#666' }}>
+              어댑터 1개를 엔트리로 한 단독 빌드 크기입니다. (동적 import·CSS 포함, {new Date(bundleManifest.generatedAt).toLocaleString()} · vite {bundleManifest.vite})
+            </div>
+          </>
+        ) : (
+          <div style={{ fontSize: '0.875rem', color: '#666' }}>
+            번들 크기 매니페스트가 없습니다. <code>npm run bundle-sizes</code> 실행 후 새로고침하세요. (npm run build 시 자동 생성)
+          </div>
+        )}
       </div>
 
       {/* 진행 상황 */}
@@ -1097,7 +1930,7 @@ export default function PerformanceBenchmark() {
           marginBottom: '2rem'
         }}>
           <div style={{ fontSize: '1.125rem', marginBottom: '0.5rem' }}>
-            📊 측정 진행 중: {currentProgress.library} - {currentProgress.chart} ({currentProgress.iteration}/{iterations})
+            📊 측정 진행 중: {currentProgress.library} - {currentProgress.chart} ({currentProgress.detail || `${currentProgress.iteration}/${iterations}`})
           </div>
           <div style={{ 
             background: '#ddd', 
@@ -1117,6 +1950,9 @@ export default function PerformanceBenchmark() {
           </div>
           <div style={{ marginTop: '0.5rem', fontSize: '0.875rem' }}>
             {currentProgress.progress || 0}% 완료
+            {runState !== 'idle' && currentProgress.eta != null && ` · 남은 시간 약 ${formatDuration(currentProgress.eta)}`}
+            {runState === 'paused' && ' · ⏸ 일시정지됨 (현재 회차 측정 후 멈춤)'}
+            {runState === 'stopping' && ' · 현재 회차 측정 후 중지합니다'}
           </div>
         </div>
       )}
@@ -1125,8 +1961,8 @@ export default function PerformanceBenchmark() {
       <div 
         ref={chartContainer}
         style={{ 
-          width: '800px', 
-          height: '400px', 
+          width: `${CHART_WIDTH}px`, 
+          height: `${CHART_HEIGHT}px`, 
           margin: '0 auto',
           border: isRunning ? '2px solid #2563eb' : '1px solid #ddd',
           borderRadius: '8px',
@@ -1156,10 +1992,328 @@ export default function PerformanceBenchmark() {
         </div>
       )}
 
+      {/* 스윕 결과 */}
+      {sweepReport && (
+        <div style={{ marginBottom: '2rem' }}>
+          <h2>📏 스윕 결과 ({sweepReport.chartType}, 예산 {sweepReport.budget}ms)</h2>
+          <ResultChart option={sweepOption} />
+          <table style={{ 
+            width: '100%', 
+            borderCollapse: 'collapse',
+            fontSize: '0.875rem',
+            marginTop: '1rem'
+          }}>
+            <thead>
+              <tr style={{ background: '#f0f0f0' }}>
+                <th style={{ border: '1px solid #ddd', padding: '0.5rem' }}>라이브러리</th>
+                <th style={{ border: '1px solid #ddd', padding: '0.5rem' }}>예산 내 최대 포인트</th>
+                <th style={{ border: '1px solid #ddd', padding: '0.5rem' }}>중단 지점</th>
+                <th style={{ border: '1px solid #ddd', padding: '0.5rem' }}>중단 사유</th>
+              </tr>
+            </thead>
+            <tbody>
+              {sweepReport.entries.map(entry => (
+                <tr key={entry.library}>
+                  <td style={{ border: '1px solid #ddd', padding: '0.5rem' }}>{entry.library}</td>
+                  <td style={{ border: '1px solid #ddd', padding: '0.5rem' }}>{entry.maxPoints ? entry.maxPoints.toLocaleString() : '-'}</td>
+                  <td style={{ border: '1px solid #ddd', padding: '0.5rem' }}>{entry.failedAt ? entry.failedAt.toLocaleString() : '-'}</td>
+                  <td style={{ border: '1px solid #ddd', padding: '0.5rem' }}>
+                    {{ completed: '최대 크기까지 완료', budget: '시간 예산 초과', error: '차트 생성 실패' }[entry.stopReason]}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {/* 줌/팬 결과 */}
+      {zoomReport && (
+        <div style={{ marginBottom: '2rem' }}>
+          <h2>🔍 줌/팬 결과 ({zoomReport.chartType}, {zoomReport.points.toLocaleString()} 포인트, {zoomReport.steps}단계 × {zoomReport.repeats}회)</h2>
+          <table style={{ 
+            width: '100%', 
+            borderCollapse: 'collapse',
+            fontSize: '0.875rem'
+          }}>
+            <thead>
+              <tr style={{ background: '#f0f0f0' }}>
+                <th style={{ border: '1px solid #ddd', padding: '0.5rem' }}>라이브러리</th>
+                <th style={{ border: '1px solid #ddd', padding: '0.5rem' }}>포인트 수</th>
+                <th style={{ border: '1px solid #ddd', padding: '0.5rem' }}>줌 평균(ms)</th>
+                <th style={{ border: '1px solid #ddd', padding: '0.5rem' }}>줌 p95(ms)</th>
+                <th style={{ border: '1px solid #ddd', padding: '0.5rem' }}>팬 평균(ms)</th>
+                <th style={{ border: '1px solid #ddd', padding: '0.5rem' }}>팬 p95(ms)</th>
+                <th style={{ border: '1px solid #ddd', padding: '0.5rem' }}>조작 수</th>
+              </tr>
+            </thead>
+            <tbody>
+              {zoomReport.entries.map(entry => {
+                const format = v => v == null ? '-' : Math.round(v * 100) / 100;
+                return (
+                  <tr key={entry.library} style={{ background: entry.error ? '#fff5f5' : 'transparent' }}>
+                    <td style={{ border: '1px solid #ddd', padding: '0.5rem' }}>{entry.library}</td>
+                    <td style={{ border: '1px solid #ddd', padding: '0.5rem' }}>{entry.dataPoints ? entry.dataPoints.toLocaleString() : '-'}</td>
+                    <td style={{ border: '1px solid #ddd', padding: '0.5rem' }}>{format(entry.zoom?.mean)}</td>
+                    <td style={{ border: '1px solid #ddd', padding: '0.5rem' }}>{format(entry.zoom?.p95)}</td>
+                    <td style={{ border: '1px solid #ddd', padding: '0.5rem' }}>{format(entry.pan?.mean)}</td>
+                    <td style={{ border: '1px solid #ddd', padding: '0.5rem' }}>{format(entry.pan?.p95)}</td>
+                    <td style={{ border: '1px solid #ddd', padding: '0.5rem' }}>
+                      {entry.error ? `ERROR: ${entry.error}` : (entry.zoom?.count || 0) + (entry.pan?.count || 0)}
+                      {entry.timedOut > 0 && <span style={{ color: '#dc2626' }}> (timeout {entry.timedOut} 제외)</span>}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {/* 리사이즈 결과 */}
+      {resizeReport && (
+        <div style={{ marginBottom: '2rem' }}>
+          <h2>↔️ 리사이즈 결과 ({resizeReport.chartType}, {resizeReport.from} ↔ {resizeReport.to}px, {resizeReport.steps}단계 × {resizeReport.repeats}회)</h2>
+          <ResultChart option={resizeOption} />
+          <table style={{ 
+            width: '100%', 
+            borderCollapse: 'collapse',
+            fontSize: '0.875rem',
+            marginTop: '1rem'
+          }}>
+            <thead>
+              <tr style={{ background: '#f0f0f0' }}>
+                {['라이브러리', '평균(ms)', '중앙값(ms)', 'p95(ms)', '최대(ms)', '최장 프레임(ms)', '리사이즈 수'].map(label => (
+                  <th key={label} style={{ border: '1px solid #ddd', padding: '0.5rem' }}>{label}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {resizeReport.entries.map(entry => {
+                const format = v => v == null ? '-' : Math.round(v * 100) / 100;
+                return (
+                  <tr key={entry.library} style={{ background: entry.error ? '#fff5f5' : 'transparent' }}>
+                    <td style={{ border: '1px solid #ddd', padding: '0.5rem' }}>{entry.library}</td>
+                    <td style={{ border: '1px solid #ddd', padding: '0.5rem' }}>{format(entry.resize?.mean)}</td>
+                    <td style={{ border: '1px solid #ddd', padding: '0.5rem' }}>{format(entry.resize?.median)}</td>
+                    <td style={{ border: '1px solid #ddd', padding: '0.5rem' }}>{format(entry.resize?.p95)}</td>
+                    <td style={{ border: '1px solid #ddd', padding: '0.5rem' }}>{format(entry.resize?.max)}</td>
+                    <td style={{ border: '1px solid #ddd', padding: '0.5rem' }}>{entry.samples.length ? format(entry.longestFrame) : '-'}</td>
+                    <td style={{ border: '1px solid #ddd', padding: '0.5rem' }}>
+                      {entry.error ? `ERROR: ${entry.error}` : entry.resize?.count || 0}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {/* 스트리밍 결과 */}
+      {streamReport && (
+        <div style={{ marginBottom: '2rem' }}>
+          <h2>📡 스트리밍 결과 ({streamReport.pointsPerTick}포인트 / {streamReport.tickMs}ms, {streamReport.duration}ms 동안)</h2>
+          <ResultChart option={streamOption} />
+          <table style={{ 
+            width: '100%', 
+            borderCollapse: 'collapse',
+            fontSize: '0.875rem',
+            marginTop: '1rem'
+          }}>
+            <thead>
+              <tr style={{ background: '#f0f0f0' }}>
+                <th style={{ border: '1px solid #ddd', padding: '0.5rem' }}>라이브러리</th>
+                <th style={{ border: '1px solid #ddd', padding: '0.5rem' }}>윈도우</th>
+                <th style={{ border: '1px solid #ddd', padding: '0.5rem' }}>지속 FPS</th>
+                <th style={{ border: '1px solid #ddd', padding: '0.5rem' }}>드롭 프레임</th>
+                <th style={{ border: '1px solid #ddd', padding: '0.5rem' }}>최장 프레임(ms)</th>
+                <th style={{ border: '1px solid #ddd', padding: '0.5rem' }}>갱신 평균(ms)</th>
+                <th style={{ border: '1px solid #ddd', padding: '0.5rem' }}>갱신 p95(ms)</th>
+                <th style={{ border: '1px solid #ddd', padding: '0.5rem' }}>틱 (밀림)</th>
+              </tr>
+            </thead>
+            <tbody>
+              {streamReport.entries.map(entry => {
+                const format = v => v == null ? '-' : Math.round(v * 100) / 100;
+                return (
+                  <tr key={`${entry.library}-${entry.window}`} style={{ background: entry.error ? '#fff5f5' : 'transparent' }}>
+                    <td style={{ border: '1px solid #ddd', padding: '0.5rem' }}>{entry.library}</td>
+                    <td style={{ border: '1px solid #ddd', padding: '0.5rem' }}>{entry.window.toLocaleString()}</td>
+                    {entry.error ? (
+                      <td colSpan={6} style={{ border: '1px solid #ddd', padding: '0.5rem', color: '#dc2626' }}>ERROR: {entry.error}</td>
+                    ) : (
+                      <>
+                        <td style={{ border: '1px solid #ddd', padding: '0.5rem' }}>{format(entry.fps)}</td>
+                        <td style={{ border: '1px solid #ddd', padding: '0.5rem' }}>{entry.droppedFrames}</td>
+                        <td style={{ border: '1px solid #ddd', padding: '0.5rem' }}>{format(entry.longestFrame)}</td>
+                        <td style={{ border: '1px solid #ddd', padding: '0.5rem' }}>{format(entry.update?.mean)}</td>
+                        <td style={{ border: '1px solid #ddd', padding: '0.5rem' }}>{format(entry.update?.p95)}</td>
+                        <td style={{ border: '1px solid #ddd', padding: '0.5rem' }}>{entry.ticks} ({entry.missedTicks})</td>
+                      </>
+                    )}
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {/* 대시보드 결과 */}
+      {dashboardReport && (
+        <div style={{ marginBottom: '2rem' }}>
+          <h2>🧩 대시보드 결과 ({dashboardReport.charts}개 · {dashboardReport.columns}열 · {dashboardReport.chartWidth}×{dashboardReport.chartHeight}, 화면 높이 {dashboardReport.viewportHeight}px)</h2>
+          <ResultChart option={dashboardOption} />
+          <table style={{ 
+            width: '100%', 
+            borderCollapse: 'collapse',
+            fontSize: '0.875rem',
+            marginTop: '1rem'
+          }}>
+            <thead>
+              <tr style={{ background: '#f0f0f0' }}>
+                {['라이브러리', '마운트', '초기 페인트(ms)', '전체 페인트(ms)', '마운트 (초기 / 전체)', '피크 메모리(KB)', 'DOM 노드', '스크롤 FPS', '드롭 프레임', '최장 프레임(ms)', 'TBT(ms)'].map(label => (
+                  <th key={label} style={{ border: '1px solid #ddd', padding: '0.5rem' }}>{label}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {dashboardReport.entries.map(entry => {
+                const format = v => v == null ? '-' : Math.round(v * 100) / 100;
+                return (
+                  <tr key={`${entry.library}-${entry.lazy}`} style={{ background: entry.error || entry.failed ? '#fff5f5' : 'transparent' }}>
+                    <td style={{ border: '1px solid #ddd', padding: '0.5rem' }}>{entry.library}</td>
+                    <td style={{ border: '1px solid #ddd', padding: '0.5rem' }}>{entry.lazy ? '지연' : '즉시'}</td>
+                    {entry.error ? (
+                      <td colSpan={9} style={{ border: '1px solid #ddd', padding: '0.5rem', color: '#dc2626' }}>ERROR: {entry.error}</td>
+                    ) : (
+                      <>
+                        <td style={{ border: '1px solid #ddd', padding: '0.5rem' }}>{format(entry.paintTime)}</td>
+                        <td style={{ border: '1px solid #ddd', padding: '0.5rem' }}>{format(entry.allPaintTime)}</td>
+                        <td style={{ border: '1px solid #ddd', padding: '0.5rem' }}>
+                          {entry.mountedAtLoad} / {entry.mounted}
+                          {entry.failed > 0 && <span style={{ color: '#dc2626' }}> (실패 {entry.failed})</span>}
+                        </td>
+                        <td style={{ border: '1px solid #ddd', padding: '0.5rem' }}>{entry.peakMemory == null ? '-' : Math.round(entry.peakMemory)}</td>
+                        <td style={{ border: '1px solid #ddd', padding: '0.5rem' }}>{entry.domNodes}</td>
+                        <td style={{ border: '1px solid #ddd', padding: '0.5rem' }}>{format(entry.fps)}</td>
+                        <td style={{ border: '1px solid #ddd', padding: '0.5rem' }}>{entry.droppedFrames}</td>
+                        <td style={{ border: '1px solid #ddd', padding: '0.5rem' }}>{format(entry.longestFrame)}</td>
+                        <td style={{ border: '1px solid #ddd', padding: '0.5rem' }}>{format(entry.totalBlockingTime)}</td>
+                      </>
+                    )}
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+          <div style={{ marginTop: '0.5rem', fontSize: '0.75rem', color: '#666' }}>
+            즉시 마운트의 초기 페인트는 전체 차트, 지연 마운트는 처음 화면에 보이는 차트까지입니다. 지연 마운트의 스크롤 지표에는 스크롤 중 나머지 차트를 마운트하는 비용이 포함됩니다.
+            지연 마운트의 전체 페인트는 다시 지연 로드한 뒤 남은 차트를 하나씩 화면에 스크롤해 모두 그려질 때까지의 시간입니다. (스크롤 속도와 무관)
+            피크 메모리는 측정 시작 대비 힙 증가 최댓값입니다. (Chrome 전용)
+          </div>
+        </div>
+      )}
+
+      {/* 누수 검사 결과 */}
+      {leakReport && (
+        <div style={{ marginBottom: '2rem' }}>
+          <h2>🧪 누수 검사 결과 ({leakReport.cycles}회, 임계 {leakReport.threshold}KB/회)</h2>
+          {!leakReport.heapSupported && (
+            <p style={{ color: '#b45309', fontSize: '0.875rem' }}>이 브라우저는 performance.memory 를 지원하지 않아 힙 추세는 측정되지 않았습니다. (리스너 검사만 유효)</p>
+          )}
+          {!leakReport.gcExposed && (
+            <p style={{ color: '#b45309', fontSize: '0.875rem' }}>GC 를 강제할 수 없어 힙 값에 수거 전 메모리가 섞여 있고, 분리 DOM 노드 수와 분리 노드에 남은 리스너는 측정되지 않았습니다. (리스너 잔존은 window/document 기준으로만 판정)</p>
+          )}
+          {leakOption && <ResultChart option={leakOption} />}
+          <table style={{ 
+            width: '100%', 
+            borderCollapse: 'collapse',
+            fontSize: '0.875rem',
+            marginTop: '1rem'
+          }}>
+            <thead>
+              <tr style={{ background: '#f0f0f0' }}>
+                <th style={{ border: '1px solid #ddd', padding: '0.5rem' }}>라이브러리</th>
+                <th style={{ border: '1px solid #ddd', padding: '0.5rem' }}>차트 타입</th>
+                <th style={{ border: '1px solid #ddd', padding: '0.5rem' }}>힙 기울기(KB/회)</th>
+                <th style={{ border: '1px solid #ddd', padding: '0.5rem' }}>r²</th>
+                <th style={{ border: '1px solid #ddd', padding: '0.5rem' }}>남은 리스너 (window/document · 분리 노드)</th>
+                <th style={{ border: '1px solid #ddd', padding: '0.5rem' }}>분리 DOM 노드</th>
+                <th style={{ border: '1px solid #ddd', padding: '0.5rem' }}>판정</th>
+              </tr>
+            </thead>
+            <tbody>
+              {leakReport.entries.map(entry => {
+                const format = v => v == null ? '-' : Math.round(v * 1000) / 1000;
+                const leaking = entry.heapLeak || entry.listenerLeak;
+                return (
+                  <tr key={`${entry.library}-${entry.chartType}`} style={{ background: entry.error || leaking ? '#fff5f5' : 'transparent' }}>
+                    <td style={{ border: '1px solid #ddd', padding: '0.5rem' }}>{entry.library}</td>
+                    <td style={{ border: '1px solid #ddd', padding: '0.5rem' }}>{entry.chartType}</td>
+                    {entry.error ? (
+                      <td colSpan={5} style={{ border: '1px solid #ddd', padding: '0.5rem', color: '#dc2626' }}>ERROR: {entry.error}</td>
+                    ) : (
+                      <>
+                        <td style={{ border: '1px solid #ddd', padding: '0.5rem' }}>{format(entry.slope)}</td>
+                        <td style={{ border: '1px solid #ddd', padding: '0.5rem' }}>{format(entry.r2)}</td>
+                        <td style={{ border: '1px solid #ddd', padding: '0.5rem' }}>
+                          {entry.globalListeners} · {entry.detachedListeners ?? '-'}
+                          {entry.listenerTypes.length > 0 && <span style={{ fontSize: '0.75rem', color: '#666' }}> ({entry.listenerTypes.join(', ')})</span>}
+                        </td>
+                        <td style={{ border: '1px solid #ddd', padding: '0.5rem' }}>{entry.detachedNodes ?? '-'}</td>
+                        <td style={{ border: '1px solid #ddd', padding: '0.5rem', color: leaking ? '#dc2626' : '#16a34a' }}>
+                          {leaking ? [entry.heapLeak && '힙 증가', entry.listenerLeak && '리스너 잔존'].filter(Boolean).join(' · ') : '정상'}
+                        </td>
+                      </>
+                    )}
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {/* 결과 대시보드 (차트) */}
+      <ResultsDashboard samples={dashboardSamples} metrics={STAT_METRICS} sweepReport={sweepReport} />
+
       {/* 결과 표시 */}
-      {results.length > 0 && (
+      {(results.length > 0 || skipped.length > 0) && (
         <div>
           <h2>📈 측정 결과</h2>
+
+          {/* 차트 타입별 비교 */}
+          <div style={{ marginBottom: '2rem' }}>
+            <h3>🗂 차트 타입별 평균 렌더링 시간(ms)</h3>
+            <div style={{ overflowX: 'auto' }}>
+              <table style={{ 
+                width: '100%', 
+                borderCollapse: 'collapse',
+                fontSize: '0.875rem'
+              }}>
+                <thead>
+                  <tr style={{ background: '#f0f0f0' }}>
+                    <th style={{ border: '1px solid #ddd', padding: '0.5rem' }}>차트 타입</th>
+                    {typeSummary.libraries.map(library => (
+                      <th key={library} style={{ border: '1px solid #ddd', padding: '0.5rem' }}>{library}</th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {typeSummary.rows.map(row => (
+                    <tr key={row.chartType}>
+                      <td style={{ border: '1px solid #ddd', padding: '0.5rem' }}>{row.chartType}</td>
+                      {row.cells.map((cell, index) => (
+                        <td key={index} style={{ border: '1px solid #ddd', padding: '0.5rem', color: typeof cell === 'number' ? 'inherit' : '#999' }}>{cell}</td>
+                      ))}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
           
           {/* 평균 결과 테이블 */}
           <div style={{ marginBottom: '2rem' }}>
@@ -1174,14 +2328,23 @@ export default function PerformanceBenchmark() {
                   <tr style={{ background: '#f0f0f0' }}>
                     <th style={{ border: '1px solid #ddd', padding: '0.5rem' }}>라이브러리</th>
                     <th style={{ border: '1px solid #ddd', padding: '0.5rem' }}>차트 타입</th>
+                    <th style={{ border: '1px solid #ddd', padding: '0.5rem' }}>크기</th>
+                    <th style={{ border: '1px solid #ddd', padding: '0.5rem' }}>DPR</th>
                     <th style={{ border: '1px solid #ddd', padding: '0.5rem' }}>데이터셋</th>
+                    <th style={{ border: '1px solid #ddd', padding: '0.5rem' }}>포인트 수</th>
                     <th style={{ border: '1px solid #ddd', padding: '0.5rem' }}>횟수</th>
                     <th style={{ border: '1px solid #ddd', padding: '0.5rem' }}>렌더링 시간(ms)</th>
                     <th style={{ border: '1px solid #ddd', padding: '0.5rem' }}>DOM 노드</th>
-                    <th style={{ border: '1px solid #ddd', padding: '0.5rem' }}>번들 크기(KB)</th>
+                    <th style={{ border: '1px solid #ddd', padding: '0.5rem' }}>번들 크기(KB gzip)</th>
                     <th style={{ border: '1px solid #ddd', padding: '0.5rem' }}>데이터 처리(ms)</th>
                     <th style={{ border: '1px solid #ddd', padding: '0.5rem' }}>메모리(KB)</th>
                     <th style={{ border: '1px solid #ddd', padding: '0.5rem' }}>FPS</th>
+                    <th style={{ border: '1px solid #ddd', padding: '0.5rem' }}>업데이트(ms)</th>
+                    <th style={{ border: '1px solid #ddd', padding: '0.5rem' }}>Long task</th>
+                    <th style={{ border: '1px solid #ddd', padding: '0.5rem' }}>TBT(ms)</th>
+                    <th style={{ border: '1px solid #ddd', padding: '0.5rem' }}>최장 프레임(ms)</th>
+                    <th style={{ border: '1px solid #ddd', padding: '0.5rem' }}>Hover(ms)</th>
+                    <th style={{ border: '1px solid #ddd', padding: '0.5rem' }}>Hover p95(ms)</th>
                     <th style={{ border: '1px solid #ddd', padding: '0.5rem' }}>FCP(ms)</th>
                     <th style={{ border: '1px solid #ddd', padding: '0.5rem' }}>LCP(ms)</th>
                   </tr>
@@ -1189,20 +2352,29 @@ export default function PerformanceBenchmark() {
                 <tbody>
                   {getAverageResults().map((result, index) => (
                     <tr key={index}>
-                      <td style={{ border: '1px solid #ddd', padding: '0.5rem' }}>{result.library}</td>
+                      <td style={{ border: '1px solid #ddd', padding: '0.5rem' }}>{libraryLabel(result)}</td>
                       <td style={{ border: '1px solid #ddd', padding: '0.5rem' }}>{result.chartType}</td>
+                      <td style={{ border: '1px solid #ddd', padding: '0.5rem' }}>{sizeLabel(result)}</td>
+                      <td style={{ border: '1px solid #ddd', padding: '0.5rem' }}>{result.pixelRatio ?? '-'}</td>
                       <td style={{ border: '1px solid #ddd', padding: '0.5rem', fontSize: '0.75rem' }}>
                         {Object.entries(result.datasetParams).map(([key, value]) => 
                           `${key}:${value}`
                         ).join(' | ')}
                       </td>
+                      <td style={{ border: '1px solid #ddd', padding: '0.5rem' }}>{result.dataPoints}</td>
                       <td style={{ border: '1px solid #ddd', padding: '0.5rem' }}>{result.count}</td>
                       <td style={{ border: '1px solid #ddd', padding: '0.5rem' }}>{result.renderTime}</td>
                       <td style={{ border: '1px solid #ddd', padding: '0.5rem' }}>{result.domNodes}</td>
-                      <td style={{ border: '1px solid #ddd', padding: '0.5rem' }}>{result.bundleSize}</td>
+                      <td style={{ border: '1px solid #ddd', padding: '0.5rem' }}>{result.bundleSize ?? '-'}</td>
                       <td style={{ border: '1px solid #ddd', padding: '0.5rem' }}>{result.dataProcessingTime}</td>
-                      <td style={{ border: '1px solid #ddd', padding: '0.5rem' }}>{result.memoryUsage}</td>
+                      <td style={{ border: '1px solid #ddd', padding: '0.5rem' }}>{result.memoryUsage ?? '-'}</td>
                       <td style={{ border: '1px solid #ddd', padding: '0.5rem' }}>{result.fps}</td>
+                      <td style={{ border: '1px solid #ddd', padding: '0.5rem' }}>{result.updateTime}</td>
+                      <td style={{ border: '1px solid #ddd', padding: '0.5rem' }}>{result.longTasks ?? '-'}</td>
+                      <td style={{ border: '1px solid #ddd', padding: '0.5rem' }}>{result.totalBlockingTime ?? '-'}</td>
+                      <td style={{ border: '1px solid #ddd', padding: '0.5rem' }}>{result.longestFrame}</td>
+                      <td style={{ border: '1px solid #ddd', padding: '0.5rem' }}>{result.hoverLatency ?? '-'}</td>
+                      <td style={{ border: '1px solid #ddd', padding: '0.5rem' }}>{result.hoverLatencyP95 ?? '-'}</td>
                       <td style={{ border: '1px solid #ddd', padding: '0.5rem' }}>{result.webVitals.fcp}</td>
                       <td style={{ border: '1px solid #ddd', padding: '0.5rem' }}>{result.webVitals.lcp}</td>
                     </tr>
@@ -1212,6 +2384,248 @@ export default function PerformanceBenchmark() {
             </div>
           </div>
 
+          {/* 렌더러 비교 (같은 라이브러리의 canvas vs svg) */}
+          {rendererRows.length > 0 && (
+            <div style={{ marginBottom: '2rem' }}>
+              <h3>🖌 렌더러 비교</h3>
+              <div style={{ overflowX: 'auto' }}>
+                <table style={{ 
+                  width: '100%', 
+                  borderCollapse: 'collapse',
+                  fontSize: '0.875rem'
+                }}>
+                  <thead>
+                    <tr style={{ background: '#f0f0f0' }}>
+                      {['라이브러리', '차트 타입', '크기', '데이터셋', '렌더러', '렌더링(ms)', '업데이트(ms)', 'DOM 노드', '메모리(KB)', 'Hover(ms)'].map(label => (
+                        <th key={label} style={{ border: '1px solid #ddd', padding: '0.5rem' }}>{label}</th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {rendererRows.map((row, index) => (
+                      <tr key={index}>
+                        <td style={{ border: '1px solid #ddd', padding: '0.5rem' }}>{row.library}</td>
+                        <td style={{ border: '1px solid #ddd', padding: '0.5rem' }}>{row.chartType}</td>
+                        <td style={{ border: '1px solid #ddd', padding: '0.5rem' }}>{sizeLabel(row)}</td>
+                        <td style={{ border: '1px solid #ddd', padding: '0.5rem', fontSize: '0.75rem' }}>
+                          {Object.entries(row.datasetParams).map(([key, value]) => 
+                            `${key}:${value}`
+                          ).join(' | ')}
+                        </td>
+                        <td style={{ border: '1px solid #ddd', padding: '0.5rem' }}>{row.renderer}</td>
+                        <td style={{ border: '1px solid #ddd', padding: '0.5rem' }}>{row.renderTime}</td>
+                        <td style={{ border: '1px solid #ddd', padding: '0.5rem' }}>{row.updateTime}</td>
+                        <td style={{ border: '1px solid #ddd', padding: '0.5rem' }}>{row.domNodes}</td>
+                        <td style={{ border: '1px solid #ddd', padding: '0.5rem' }}>{row.memoryUsage ?? '-'}</td>
+                        <td style={{ border: '1px solid #ddd', padding: '0.5rem' }}>{row.hoverLatency ?? '-'}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+              <div style={{ marginTop: '0.5rem', fontSize: '0.75rem', color: '#666' }}>
+                svg 는 도형마다 DOM 노드가 생겨 벡터 내보내기가 선명하지만 데이터가 많을수록 노드 수·메모리·렌더링 시간이 늘고, canvas 는 노드가 거의 없는 대신 비트맵으로 그려집니다.
+              </div>
+            </div>
+          )}
+
+          {/* 차트 크기별 스케일링 (같은 조합을 여러 크기로 측정) */}
+          {sizeRows.length > 0 && (
+            <div style={{ marginBottom: '2rem' }}>
+              <h3>📏 크기별 스케일링</h3>
+              <div style={{ overflowX: 'auto' }}>
+                <table style={{ 
+                  width: '100%', 
+                  borderCollapse: 'collapse',
+                  fontSize: '0.875rem'
+                }}>
+                  <thead>
+                    <tr style={{ background: '#f0f0f0' }}>
+                      {['라이브러리', '차트 타입', '데이터셋', '크기', 'DPR', '디바이스 픽셀', '렌더링(ms)', '업데이트(ms)', '메모리(KB)', '렌더링 배율'].map(label => (
+                        <th key={label} style={{ border: '1px solid #ddd', padding: '0.5rem' }}>{label}</th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {sizeRows.map((row, index) => (
+                      <tr key={index}>
+                        <td style={{ border: '1px solid #ddd', padding: '0.5rem' }}>{libraryLabel(row)}</td>
+                        <td style={{ border: '1px solid #ddd', padding: '0.5rem' }}>{row.chartType}</td>
+                        <td style={{ border: '1px solid #ddd', padding: '0.5rem', fontSize: '0.75rem' }}>
+                          {Object.entries(row.datasetParams).map(([key, value]) => 
+                            `${key}:${value}`
+                          ).join(' | ')}
+                        </td>
+                        <td style={{ border: '1px solid #ddd', padding: '0.5rem' }}>{sizeLabel(row)}</td>
+                        <td style={{ border: '1px solid #ddd', padding: '0.5rem' }}>{row.pixelRatio}</td>
+                        <td style={{ border: '1px solid #ddd', padding: '0.5rem' }}>{row.devicePixels.toLocaleString()}</td>
+                        <td style={{ border: '1px solid #ddd', padding: '0.5rem' }}>{row.renderTime}</td>
+                        <td style={{ border: '1px solid #ddd', padding: '0.5rem' }}>{row.updateTime}</td>
+                        <td style={{ border: '1px solid #ddd', padding: '0.5rem' }}>{row.memoryUsage ?? '-'}</td>
+                        <td style={{ border: '1px solid #ddd', padding: '0.5rem' }}>{row.scale.toFixed(2)}×</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+              <div style={{ marginTop: '0.5rem', fontSize: '0.75rem', color: '#666' }}>
+                렌더링 배율은 같은 조합의 가장 작은 크기 대비입니다. 디바이스 픽셀(가로 × 세로 × DPR²)에 비례해 늘면 래스터 비용이 지배적이고, 거의 일정하면 데이터 처리·레이아웃이 지배적입니다.
+              </div>
+            </div>
+          )}
+
+          {/* cold start (라이브러리 첫 로드 직후 마운트) vs 워밍업 이후 평균 */}
+          {coldStarts.length > 0 && (
+            <div style={{ marginBottom: '2rem' }}>
+              <h3>🧊 콜드 스타트</h3>
+              <div style={{ overflowX: 'auto' }}>
+                <table style={{ 
+                  width: '100%', 
+                  borderCollapse: 'collapse',
+                  fontSize: '0.875rem'
+                }}>
+                  <thead>
+                    <tr style={{ background: '#f0f0f0' }}>
+                      {['라이브러리', '차트 타입', '동적 import(ms)', '첫 마운트(ms)', '이후 평균 렌더링(ms)', 'cold / warm'].map(label => (
+                        <th key={label} style={{ border: '1px solid #ddd', padding: '0.5rem' }}>{label}</th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {coldStarts.map(entry => {
+                      const { library, renderer, chartType, importTime, mountTime } = entry;
+                      const warm = averages.find(avg => avg.library === library && avg.renderer === renderer && avg.chartType === chartType
+                        && avg.width === entry.width && avg.height === entry.height)?.renderTime;
+                      return (
+                        <tr key={library}>
+                          <td style={{ border: '1px solid #ddd', padding: '0.5rem' }}>{libraryLabel(entry)}</td>
+                          <td style={{ border: '1px solid #ddd', padding: '0.5rem' }}>{chartType}</td>
+                          <td style={{ border: '1px solid #ddd', padding: '0.5rem' }}>{importTime ?? '-'}</td>
+                          <td style={{ border: '1px solid #ddd', padding: '0.5rem' }}>{mountTime}</td>
+                          <td style={{ border: '1px solid #ddd', padding: '0.5rem' }}>{warm ?? '-'}</td>
+                          <td style={{ border: '1px solid #ddd', padding: '0.5rem' }}>{warm ? `${(mountTime / warm).toFixed(1)}×` : '-'}</td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              </div>
+              <div style={{ marginTop: '0.5rem', fontSize: '0.75rem', color: '#666' }}>
+                페이지에서 라이브러리를 처음 불러온 직후의 마운트만 cold start 로 기록합니다. 이미 로드된 라이브러리(이전 실행, 다른 화면)는 빠지므로 새로고침 후 실행하세요.
+              </div>
+            </div>
+          )}
+
+          {/* 통계 요약 */}
+          <div style={{ marginBottom: '2rem' }}>
+            <h3>📐 통계 요약</h3>
+            <div style={{ display: 'flex', flexWrap: 'wrap', gap: '1rem', alignItems: 'center', marginBottom: '0.75rem', fontSize: '0.875rem' }}>
+              <label>
+                지표:
+                <select value={statMetric} onChange={(e) => setStatMetric(e.target.value)} style={{ marginLeft: '0.5rem' }}>
+                  {STAT_METRICS.map(({ key, label }) => <option key={key} value={key}>{label}</option>)}
+                </select>
+              </label>
+              <label>
+                기록된 앞쪽 회차 제외:
+                <input
+                  type="number"
+                  value={excludeFirst}
+                  onChange={(e) => setExcludeFirst(Math.max(0, parseInt(e.target.value) || 0))}
+                  title="워밍업 실행과 별개로, 이미 기록된 결과에서 조합별 앞쪽 회차를 통계에서 뺍니다"
+                  min="0"
+                  style={{ marginLeft: '0.5rem', width: '60px', padding: '0.125rem' }}
+                />
+              </label>
+              <label>
+                <input
+                  type="checkbox"
+                  checked={rejectOutliers}
+                  onChange={(e) => setRejectOutliers(e.target.checked)}
+                  style={{ marginRight: '0.5rem' }}
+                />
+                IQR 이상치 제거 (1.5×IQR 밖)
+              </label>
+            </div>
+            <div style={{ overflowX: 'auto' }}>
+              <table style={{ 
+                width: '100%', 
+                borderCollapse: 'collapse',
+                fontSize: '0.875rem'
+              }}>
+                <thead>
+                  <tr style={{ background: '#f0f0f0' }}>
+                    {['라이브러리', '차트 타입', '크기', '데이터셋', 'N', '평균', '최소', '중앙값', 'p90', 'p95', '최대', '표준편차', '95% CI', '이상치'].map(label => (
+                      <th key={label} style={{ border: '1px solid #ddd', padding: '0.5rem' }}>{label}</th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {getStatSummary(statMetric).map(({ chartType, datasetParams, stats, outliers, ...row }, index) => (
+                    <tr key={index}>
+                      <td style={{ border: '1px solid #ddd', padding: '0.5rem' }}>{libraryLabel(row)}</td>
+                      <td style={{ border: '1px solid #ddd', padding: '0.5rem' }}>{chartType}</td>
+                      <td style={{ border: '1px solid #ddd', padding: '0.5rem' }}>{sizeLabel(row)}</td>
+                      <td style={{ border: '1px solid #ddd', padding: '0.5rem', fontSize: '0.75rem' }}>
+                        {Object.entries(datasetParams).map(([key, value]) => 
+                          `${key}:${value}`
+                        ).join(' | ')}
+                      </td>
+                      <td style={{ border: '1px solid #ddd', padding: '0.5rem' }}>{stats.count}</td>
+                      {[stats.mean, stats.min, stats.median, stats.p90, stats.p95, stats.max, stats.stddev].map((value, i) => (
+                        <td key={i} style={{ border: '1px solid #ddd', padding: '0.5rem' }}>{value.toFixed(2)}</td>
+                      ))}
+                      <td style={{ border: '1px solid #ddd', padding: '0.5rem' }}>{stats.ci95[0].toFixed(2)} ~ {stats.ci95[1].toFixed(2)}</td>
+                      <td style={{ border: '1px solid #ddd', padding: '0.5rem', color: outliers ? '#dc2626' : 'inherit' }}>{outliers}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+
+          {/* 실행 순서 영향 (전역 실행 순서 ↔ 선택 지표) */}
+          {orderEffects.length > 0 && (
+            <div style={{ marginBottom: '2rem' }}>
+              <h3>🔀 실행 순서 영향 ({STAT_METRICS.find(({ key }) => key === statMetric)?.label})</h3>
+              <div style={{ overflowX: 'auto' }}>
+                <table style={{ 
+                  width: '100%', 
+                  borderCollapse: 'collapse',
+                  fontSize: '0.875rem'
+                }}>
+                  <thead>
+                    <tr style={{ background: '#f0f0f0' }}>
+                      {['라이브러리', '차트 타입', '크기', '데이터셋', '실행 순서', '기울기 (100회당)', 'R²'].map(label => (
+                        <th key={label} style={{ border: '1px solid #ddd', padding: '0.5rem' }}>{label}</th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {orderEffects.map(({ chartType, datasetParams, first, last, slope, r2, ...row }, index) => (
+                      <tr key={index}>
+                        <td style={{ border: '1px solid #ddd', padding: '0.5rem' }}>{libraryLabel(row)}</td>
+                        <td style={{ border: '1px solid #ddd', padding: '0.5rem' }}>{chartType}</td>
+                        <td style={{ border: '1px solid #ddd', padding: '0.5rem' }}>{sizeLabel(row)}</td>
+                        <td style={{ border: '1px solid #ddd', padding: '0.5rem', fontSize: '0.75rem' }}>
+                          {Object.entries(datasetParams).map(([key, value]) => 
+                            `${key}:${value}`
+                          ).join(' | ')}
+                        </td>
+                        <td style={{ border: '1px solid #ddd', padding: '0.5rem' }}>{first} ~ {last}</td>
+                        <td style={{ border: '1px solid #ddd', padding: '0.5rem' }}>{(slope * 100).toFixed(2)}</td>
+                        <td style={{ border: '1px solid #ddd', padding: '0.5rem', color: r2 >= 0.5 ? '#dc2626' : 'inherit' }}>{r2.toFixed(2)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+              <div style={{ marginTop: '0.5rem', fontSize: '0.75rem', color: '#666' }}>
+                측정 순서(전체 실행 기준 번호)에 대한 선택 지표의 직선 적합입니다. R²가 높으면(0.5 이상 빨간색) 워밍업·GC·발열 등 실행 순서가 결과에 영향을 준 것으로, 라운드 로빈/셔플 순서로 다시 측정해 비교하세요.
+              </div>
+            </div>
+          )}
+
           {/* 상세 결과 (접을 수 있는 형태) */}
           <details>
             <summary style={{ 
@@ -1221,7 +2635,7 @@ export default function PerformanceBenchmark() {
               borderRadius: '4px',
               marginBottom: '1rem'
             }}>
-              🔍 상세 측정 결과 보기 ({results.length}개 항목)
+              🔍 상세 측정 결과 보기 ({results.length}개 항목, 이상치 {outliers.size}개 강조)
             </summary>
             <div style={{ overflowX: 'auto', maxHeight: '400px', overflowY: 'auto' }}>
               <table style={{ 
@@ -1233,33 +2647,53 @@ export default function PerformanceBenchmark() {
                   <tr style={{ background: '#f0f0f0' }}>
                     <th style={{ border: '1px solid #ddd', padding: '0.25rem' }}>라이브러리</th>
                     <th style={{ border: '1px solid #ddd', padding: '0.25rem' }}>차트</th>
+                    <th style={{ border: '1px solid #ddd', padding: '0.25rem' }}>크기</th>
+                    <th style={{ border: '1px solid #ddd', padding: '0.25rem' }}>DPR</th>
                     <th style={{ border: '1px solid #ddd', padding: '0.25rem' }}>회차</th>
+                    <th style={{ border: '1px solid #ddd', padding: '0.25rem' }}>순서</th>
                     <th style={{ border: '1px solid #ddd', padding: '0.25rem' }}>데이터셋</th>
+                    <th style={{ border: '1px solid #ddd', padding: '0.25rem' }}>포인트</th>
                     <th style={{ border: '1px solid #ddd', padding: '0.25rem' }}>렌더링(ms)</th>
                     <th style={{ border: '1px solid #ddd', padding: '0.25rem' }}>DOM</th>
                     <th style={{ border: '1px solid #ddd', padding: '0.25rem' }}>번들(KB)</th>
                     <th style={{ border: '1px solid #ddd', padding: '0.25rem' }}>데이터(ms)</th>
                     <th style={{ border: '1px solid #ddd', padding: '0.25rem' }}>메모리(KB)</th>
                     <th style={{ border: '1px solid #ddd', padding: '0.25rem' }}>FPS</th>
+                    <th style={{ border: '1px solid #ddd', padding: '0.25rem' }}>업데이트(ms)</th>
+                    <th style={{ border: '1px solid #ddd', padding: '0.25rem' }}>LT</th>
+                    <th style={{ border: '1px solid #ddd', padding: '0.25rem' }}>TBT(ms)</th>
+                    <th style={{ border: '1px solid #ddd', padding: '0.25rem' }}>최장 프레임</th>
+                    <th style={{ border: '1px solid #ddd', padding: '0.25rem' }}>Hover(ms)</th>
+                    <th style={{ border: '1px solid #ddd', padding: '0.25rem' }}>Hover p95</th>
                   </tr>
                 </thead>
                 <tbody>
                   {results.map((result, index) => (
-                    <tr key={index}>
-                      <td style={{ border: '1px solid #ddd', padding: '0.25rem' }}>{result.library}</td>
+                    <tr key={index} style={{ background: outliers.has(result) ? '#fff5f5' : 'transparent' }}>
+                      <td style={{ border: '1px solid #ddd', padding: '0.25rem' }}>{libraryLabel(result)}</td>
                       <td style={{ border: '1px solid #ddd', padding: '0.25rem' }}>{result.chartType}</td>
+                      <td style={{ border: '1px solid #ddd', padding: '0.25rem' }}>{sizeLabel(result)}</td>
+                      <td style={{ border: '1px solid #ddd', padding: '0.25rem' }}>{result.pixelRatio ?? '-'}</td>
                       <td style={{ border: '1px solid #ddd', padding: '0.25rem' }}>{result.iteration}</td>
+                      <td style={{ border: '1px solid #ddd', padding: '0.25rem' }}>{result.order ?? '-'}</td>
                       <td style={{ border: '1px solid #ddd', padding: '0.25rem', fontSize: '0.6rem' }}>
                         {Object.entries(result.datasetParams).map(([key, value]) => 
                           `${key}:${value}`
                         ).join(' | ')}
                       </td>
+                      <td style={{ border: '1px solid #ddd', padding: '0.25rem' }}>{result.dataPoints}</td>
                       <td style={{ border: '1px solid #ddd', padding: '0.25rem' }}>{result.renderTime}</td>
                       <td style={{ border: '1px solid #ddd', padding: '0.25rem' }}>{result.domNodes}</td>
-                      <td style={{ border: '1px solid #ddd', padding: '0.25rem' }}>{result.bundleSize}</td>
+                      <td style={{ border: '1px solid #ddd', padding: '0.25rem' }}>{result.bundleSize ?? '-'}</td>
                       <td style={{ border: '1px solid #ddd', padding: '0.25rem' }}>{result.dataProcessingTime}</td>
-                      <td style={{ border: '1px solid #ddd', padding: '0.25rem' }}>{result.memoryUsage}</td>
+                      <td style={{ border: '1px solid #ddd', padding: '0.25rem' }}>{result.memoryUsage ?? '-'}</td>
                       <td style={{ border: '1px solid #ddd', padding: '0.25rem' }}>{result.fps}</td>
+                      <td style={{ border: '1px solid #ddd', padding: '0.25rem' }}>{result.updateTime}</td>
+                      <td style={{ border: '1px solid #ddd', padding: '0.25rem' }}>{result.longTasks ?? '-'}</td>
+                      <td style={{ border: '1px solid #ddd', padding: '0.25rem' }}>{result.totalBlockingTime ?? '-'}</td>
+                      <td style={{ border: '1px solid #ddd', padding: '0.25rem' }}>{result.longestFrame}</td>
+                      <td style={{ border: '1px solid #ddd', padding: '0.25rem' }}>{result.hoverLatency ?? '-'}</td>
+                      <td style={{ border: '1px solid #ddd', padding: '0.25rem' }}>{result.hoverLatencyP95 ?? '-'}</td>
                     </tr>
                   ))}
                 </tbody>
@@ -0,0 +1,57 @@
+import React, { useRef, useEffect, useState } from 'react';
+import { markPreloaded } from './adapters';
+
+// 벤치마크 결과 시각화용 ECharts 래퍼 (option 을 그대로 받음)
+// echarts 는 직접 import 하지만 모듈 캐시는 ECharts 어댑터와 공유되므로,
+// 어댑터가 아직 로드 전이면 레지스트리에 알려 이후 ECharts 마운트를 cold start 로 기록하지 않게 함
+let echartsModule = null;
+const loadECharts = () => {
+  if (!echartsModule) {
+    markPreloaded('echarts');
+    echartsModule = import('echarts');
+    echartsModule.catch(() => { echartsModule = null; }); // 실패 시 다음 렌더링에서 재시도
+  }
+  return echartsModule;
+};
+
+export default function ResultChart({ option, height = 320 }) {
+  const containerRef = useRef(null);
+  const chartRef = useRef(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    loadECharts().then(echarts => {
+      if (cancelled || !containerRef.current) return;
+      if (!chartRef.current) chartRef.current = echarts.init(containerRef.current);
+      chartRef.current.setOption(option, true);
+      setError(null);
+    }).catch(e => {
+      console.error('결과 차트 렌더링 실패:', e);
+      if (!cancelled) setError(e);
+    });
+    return () => { cancelled = true; };
+  }, [option]);
+
+  // 컨테이너 크기 변화 반응 (ResizeObserver) + 언마운트 정리
+  useEffect(() => {
+    const observer = new ResizeObserver(() => { chartRef.current && chartRef.current.resize(); });
+    observer.observe(containerRef.current);
+    return () => {
+      observer.disconnect();
+      if (chartRef.current) { chartRef.current.dispose(); chartRef.current = null; }
+    };
+  }, []);
+
+  // 오류 문구는 컨테이너 위에 겹쳐 표시 (컨테이너는 유지해야 ResizeObserver / 재시도가 그대로 동작)
+  return (
+    <div style={{ position: 'relative', width: '100%', height }}>
+      <div ref={containerRef} style={{ width: '100%', height: '100%' }} />
+      {error && (
+        <div style={{ position: 'absolute', inset: 0, display: 'flex', alignItems: 'center', justifyContent: 'center', background: '#fef2f2', color: '#dc2626', fontSize: '0.85rem', padding: '1rem' }}>
+          결과 차트를 그리지 못했습니다: {error.message || String(error)}
+        </div>
+      )}
+    </div>
+  );
+}
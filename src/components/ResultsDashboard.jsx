@@ -0,0 +1,166 @@
+import React, { useState, useMemo, useCallback } from 'react';
+import ResultChart from './ResultChart';
+import { summarize, quantile } from './benchmark/stats';
+import { sizeLabel } from './benchmark/report';
+
+// 측정 결과 대시보드 (ECharts, ResultChart 재사용)
+// samples: 통계에 포함된 회차별 결과 (기록된 앞쪽 excludeFirst 회 제외 후), metrics: STAT_METRICS, sweepReport: 스윕 결과 (선택)
+
+// 값 목록 → 평균 또는 중앙값
+const aggregate = (values, mode) => {
+  const stats = summarize(values);
+  return stats ? stats[mode] : null;
+};
+const round = v => v == null ? null : Math.round(v * 100) / 100;
+
+// 타입 × 차트 크기 그룹 (크기가 다르면 같은 타입이라도 따로 집계)
+const inGroup = (r, group) => r.chartType === group.chartType && sizeLabel(r) === group.size;
+
+// 라이브러리(/그룹) 의 지표 값 목록 (group 생략 시 전체)
+const valuesOf = (samples, library, group, metric) => samples
+  .filter(r => r.library === library && (group == null || inGroup(r, group)))
+  .map(r => r[metric])
+  .filter(Number.isFinite);
+
+// 제목 + 평균/중앙값 전환 + 차트
+function ChartCard({ title, build, height }) {
+  const [mode, setMode] = useState('mean');
+  const option = useMemo(() => build(mode), [build, mode]);
+  return (
+    <div style={{ border: '1px solid #ddd', borderRadius: '8px', padding: '0.75rem', background: '#fff' }}>
+      <div style={{ display: 'flex', alignItems: 'center', marginBottom: '0.5rem' }}>
+        <strong style={{ fontSize: '0.9rem' }}>{title}</strong>
+        <div style={{ marginLeft: 'auto', fontSize: '0.8rem' }}>
+          {[['mean', '평균'], ['median', '중앙값']].map(([value, label]) => (
+            <label key={value} style={{ marginLeft: '0.5rem' }}>
+              <input type="radio" checked={mode === value} onChange={() => setMode(value)} style={{ marginRight: '0.25rem' }} />
+              {label}
+            </label>
+          ))}
+        </div>
+      </div>
+      {option ? <ResultChart option={option} height={height} /> : <div style={{ fontSize: '0.8rem', color: '#666' }}>표시할 데이터가 없습니다.</div>}
+    </div>
+  );
+}
+
+export default function ResultsDashboard({ samples, metrics, sweepReport }) {
+  const libraries = useMemo(() => [...new Set(samples.map(r => r.library))], [samples]);
+  const groups = useMemo(() => {
+    const seen = new Map();
+    samples.forEach(r => {
+      const size = sizeLabel(r);
+      const key = `${r.chartType}|${size}`;
+      if (!seen.has(key)) seen.set(key, { chartType: r.chartType, size });
+    });
+    return [...seen.values()];
+  }, [samples]);
+  // 크기가 하나뿐이면 축 라벨은 타입만
+  const multipleSizes = new Set(groups.map(group => group.size)).size > 1;
+  const groupLabel = useCallback((group, separator) => multipleSizes ? `${group.chartType}${separator}${group.size}` : group.chartType, [multipleSizes]);
+
+  // 타입(× 크기)별 라이브러리 렌더링 시간 (그룹 막대)
+  const buildBars = useCallback((mode) => ({
+    tooltip: { trigger: 'axis' },
+    legend: { top: 0 },
+    grid: { top: 40, right: 20, bottom: 40 },
+    xAxis: { type: 'category', data: groups.map(group => groupLabel(group, ' @ ')), axisLabel: { interval: 0, fontSize: 10 } },
+    yAxis: { type: 'value', name: '렌더링(ms)' },
+    series: libraries.map(library => ({
+      name: library,
+      type: 'bar',
+      data: groups.map(group => round(aggregate(valuesOf(samples, library, group, 'renderTime'), mode)))
+    }))
+  }), [samples, libraries, groups, groupLabel]);
+
+  // 회차별 렌더링 시간 분포 (박스플롯, 선택한 대표값은 점으로 표시)
+  const buildBoxes = useCallback((mode) => {
+    const categories = [];
+    const boxes = [];
+    const centers = [];
+    libraries.forEach(library => groups.forEach(group => {
+      const sorted = valuesOf(samples, library, group, 'renderTime').sort((a, b) => a - b);
+      const stats = summarize(sorted);
+      if (!stats) return;
+      categories.push(`${library}\n${groupLabel(group, '\n')}`);
+      boxes.push([stats.min, quantile(sorted, 0.25), stats.median, quantile(sorted, 0.75), stats.max].map(round));
+      centers.push(round(stats[mode]));
+    }));
+    if (!categories.length) return null;
+    return {
+      tooltip: { trigger: 'item' },
+      grid: { top: 30, right: 20, bottom: multipleSizes ? 65 : 50 },
+      xAxis: { type: 'category', data: categories, axisLabel: { interval: 0, fontSize: 10 } },
+      yAxis: { type: 'value', name: '렌더링(ms)', scale: true },
+      series: [
+        { name: '분포', type: 'boxplot', data: boxes },
+        { name: mode === 'mean' ? '평균' : '중앙값', type: 'scatter', data: centers, symbolSize: 8, itemStyle: { color: '#dc2626' } }
+      ]
+    };
+  }, [samples, libraries, groups, groupLabel, multipleSizes]);
+
+  // 스윕: 데이터 크기별 메모리 사용량
+  const buildMemory = useCallback((mode) => {
+    const entries = (sweepReport?.entries || []).filter(entry => entry.samples.some(sample => sample.memoryUsages?.length));
+    if (!entries.length) return null;
+    return {
+      tooltip: { trigger: 'axis' },
+      legend: { top: 0 },
+      grid: { top: 40, right: 40 },
+      xAxis: { type: 'log', name: '포인트 수' },
+      yAxis: { type: 'value', name: '메모리(KB)' },
+      series: entries.map(entry => ({
+        name: entry.library,
+        type: 'line',
+        data: entry.samples.map(sample => [sample.points, round(aggregate(sample.memoryUsages || [], mode))])
+      }))
+    };
+  }, [sweepReport]);
+
+  // 전체 지표 레이더: 라이브러리 모두가 측정된 타입 × 크기만 사용, 지표별 최고 라이브러리 = 100
+  const buildRadar = useCallback((mode) => {
+    const common = groups.filter(group => libraries.every(library => samples.some(r => r.library === library && inGroup(r, group))));
+    if (!common.length || libraries.length < 2) return null;
+    const inCommon = library => samples.filter(r => r.library === library && common.some(group => inGroup(r, group)));
+    const values = libraries.map(library => metrics.map(({ key }) => aggregate(inCommon(library).map(r => r[key]).filter(Number.isFinite), mode)));
+    const usable = metrics.map((_, i) => values.every(row => row[i] != null && row[i] >= 0) && values.some(row => row[i] > 0));
+    const indicators = metrics.filter((_, i) => usable[i]);
+    if (indicators.length < 3) return null;
+    const score = (i, value) => {
+      const column = values.map(row => row[i]);
+      if (metrics[i].better === 'higher') return value / Math.max(...column) * 100;
+      const best = Math.min(...column);
+      return value === 0 ? 100 : best / value * 100;
+    };
+    return {
+      tooltip: { trigger: 'item' },
+      legend: { top: 0 },
+      radar: { indicator: indicators.map(metric => ({ name: metric.label, max: 100 })), radius: '60%', center: ['50%', '58%'] },
+      series: [{
+        type: 'radar',
+        data: libraries.map((library, l) => ({
+          name: library,
+          value: metrics.map((_, i) => i).filter(i => usable[i]).map(i => round(score(i, values[l][i])))
+        }))
+      }]
+    };
+  }, [samples, libraries, groups, metrics]);
+
+  if (!samples.length && !sweepReport) return null;
+
+  return (
+    <div style={{ marginBottom: '2rem' }}>
+      <h3>📊 결과 대시보드</h3>
+      <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(480px, 1fr))', gap: '1rem' }}>
+        {samples.length > 0 && (
+          <>
+            <ChartCard title={multipleSizes ? '타입 × 크기별 렌더링 시간' : '타입별 렌더링 시간'} build={buildBars} />
+            <ChartCard title="회차별 렌더링 시간 분포" build={buildBoxes} />
+            <ChartCard title="라이브러리 종합 비교 (지표별 최고 = 100)" build={buildRadar} height={360} />
+          </>
+        )}
+        {sweepReport && <ChartCard title={`데이터 크기별 메모리 (스윕: ${sweepReport.chartType})`} build={buildMemory} />}
+      </div>
+    </div>
+  );
+}
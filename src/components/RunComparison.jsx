@@ -0,0 +1,165 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { listRuns, getRun } from './benchmark/history';
+import { compareRuns, resultsFromJSON } from './benchmark/compare';
+import { libraryLabel, sizeLabel } from './benchmark/report';
+
+// 두 실행(또는 실행 vs 불러온 기준 JSON) 비교표
+// 변화율이 임계값 이상이고 Welch t 검정으로 유의(p < 0.05)하면 회귀/개선으로 표시
+export default function RunComparison({ refreshKey, metrics, excludeFirst = 0 }) {
+  const [runs, setRuns] = useState([]);
+  const [baseId, setBaseId] = useState(''); // '' | 'file' | 실행 id
+  const [targetId, setTargetId] = useState('');
+  const [baseline, setBaseline] = useState(null); // 불러온 기준 JSON { name, results }
+  const [threshold, setThreshold] = useState(5);
+  const [onlyFlagged, setOnlyFlagged] = useState(false);
+  const [compared, setCompared] = useState(null); // { base, target } 측정 결과
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    listRuns().then(setRuns).catch(e => {
+      setRuns([]);
+      setError(`실행 기록을 읽을 수 없습니다: ${e.message || String(e)}`);
+    });
+  }, [refreshKey]);
+
+  const importBaseline = async (file) => {
+    if (!file) return;
+    try {
+      const results = resultsFromJSON(JSON.parse(await file.text()));
+      setBaseline({ name: file.name, results });
+      setBaseId('file');
+      setError(null);
+    } catch (e) {
+      setError(`기준 JSON 을 읽을 수 없습니다: ${e.message}`);
+    }
+  };
+
+  const loadResults = async (id) => {
+    if (id === 'file') return baseline?.results || [];
+    const run = await getRun(Number(id));
+    return run?.results || [];
+  };
+
+  const compare = async () => {
+    setError(null);
+    try {
+      const [base, target] = await Promise.all([loadResults(baseId), loadResults(targetId)]);
+      setCompared({ base, target });
+    } catch (e) {
+      setError(e.message || String(e));
+    }
+  };
+
+  const rows = useMemo(() => {
+    if (!compared) return [];
+    return compareRuns(compared.base, compared.target, { metrics, threshold, excludeFirst });
+  }, [compared, metrics, threshold, excludeFirst]);
+
+  const visibleRows = onlyFlagged ? rows.filter(row => row.regression || row.improvement) : rows;
+  const regressions = rows.filter(row => row.regression).length;
+  const format = v => v == null ? '-' : Math.round(v * 100) / 100;
+  const cell = { border: '1px solid #ddd', padding: '0.25rem 0.5rem' };
+
+  return (
+    <div style={{ 
+      background: '#f9f9f9', 
+      padding: '1rem', 
+      borderRadius: '8px',
+      border: '1px solid #ddd',
+      marginBottom: '2rem'
+    }}>
+      <h3 style={{ marginTop: 0 }}>⚖️ 실행 비교 (회귀 확인)</h3>
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: '1rem', alignItems: 'center', fontSize: '0.875rem' }}>
+        <label>
+          기준:
+          <select value={baseId} onChange={(e) => setBaseId(e.target.value)} style={{ marginLeft: '0.5rem', maxWidth: '260px' }}>
+            <option value="">선택</option>
+            {baseline && <option value="file">📄 {baseline.name}</option>}
+            {runs.map(run => <option key={run.id} value={run.id}>{run.name}</option>)}
+          </select>
+        </label>
+        <label>
+          기준 JSON:
+          <input type="file" accept="application/json,.json" onChange={(e) => importBaseline(e.target.files[0])} style={{ marginLeft: '0.5rem' }} />
+        </label>
+        <label>
+          비교 대상:
+          <select value={targetId} onChange={(e) => setTargetId(e.target.value)} style={{ marginLeft: '0.5rem', maxWidth: '260px' }}>
+            <option value="">선택</option>
+            {runs.map(run => <option key={run.id} value={run.id}>{run.name}</option>)}
+          </select>
+        </label>
+        <label>
+          회귀 임계(%):
+          <input
+            type="number"
+            value={threshold}
+            onChange={(e) => setThreshold(Math.max(0, Number(e.target.value) || 0))}
+            min="0"
+            style={{ marginLeft: '0.5rem', width: '60px', padding: '0.125rem' }}
+          />
+        </label>
+        <button onClick={compare} disabled={!baseId || !targetId || baseId === targetId}>비교</button>
+      </div>
+      {error && <div style={{ color: '#dc2626', fontSize: '0.875rem', marginTop: '0.5rem' }}>{error}</div>}
+
+      {compared && (
+        <div style={{ marginTop: '1rem' }}>
+          <div style={{ display: 'flex', gap: '1rem', alignItems: 'center', fontSize: '0.875rem', marginBottom: '0.5rem' }}>
+            <strong style={{ color: regressions ? '#dc2626' : '#16a34a' }}>
+              {rows.length === 0 ? '공통 라이브러리/타입/데이터셋 조합이 없습니다' : regressions ? `회귀 ${regressions}건` : '회귀 없음'}
+            </strong>
+            <label>
+              <input type="checkbox" checked={onlyFlagged} onChange={(e) => setOnlyFlagged(e.target.checked)} style={{ marginRight: '0.25rem' }} />
+              회귀/개선만 보기
+            </label>
+          </div>
+          {visibleRows.length > 0 && (
+            <div style={{ maxHeight: '400px', overflow: 'auto' }}>
+              <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.8rem' }}>
+                <thead>
+                  <tr style={{ background: '#f0f0f0' }}>
+                    <th style={cell}>라이브러리</th>
+                    <th style={cell}>차트</th>
+                    <th style={cell}>크기</th>
+                    <th style={cell}>데이터셋</th>
+                    <th style={cell}>지표</th>
+                    <th style={cell}>기준 평균 (n)</th>
+                    <th style={cell}>대상 평균 (n)</th>
+                    <th style={cell}>Δ</th>
+                    <th style={cell}>Δ%</th>
+                    <th style={cell}>p (Welch)</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {visibleRows.map(row => (
+                    <tr
+                      key={`${libraryLabel(row)}-${row.chartType}-${sizeLabel(row)}-${JSON.stringify(row.datasetParams)}-${row.metric}`}
+                      style={{ background: row.regression ? '#fee2e2' : row.improvement ? '#dcfce7' : 'transparent' }}
+                    >
+                      <td style={cell}>{libraryLabel(row)}</td>
+                      <td style={cell}>{row.chartType}</td>
+                      <td style={cell}>{sizeLabel(row)}</td>
+                      <td style={{ ...cell, fontSize: '0.7rem' }}>
+                        {Object.entries(row.datasetParams || {}).map(([key, value]) => `${key}:${value}`).join(' | ')}
+                      </td>
+                      <td style={cell}>{row.label}</td>
+                      <td style={cell}>{format(row.baseMean)} ({row.baseCount})</td>
+                      <td style={cell}>{format(row.targetMean)} ({row.targetCount})</td>
+                      <td style={cell}>{row.delta > 0 ? '+' : ''}{format(row.delta)}</td>
+                      <td style={cell}>{row.pct == null ? '-' : `${row.pct > 0 ? '+' : ''}${format(row.pct)}%`}</td>
+                      <td style={{ ...cell, fontWeight: row.significant ? 'bold' : 'normal' }}>{row.p == null ? '-' : row.p < 0.001 ? '<0.001' : format(row.p * 1000) / 1000}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+          <div style={{ marginTop: '0.5rem', fontSize: '0.75rem', color: '#666' }}>
+            빨간색: 나빠진 방향으로 {threshold}% 이상 변하고 유의(p &lt; 0.05)한 회귀, 초록색: 같은 기준의 개선. 회차별 원본 측정값으로 검정합니다.{excludeFirst > 0 && ` (조합별로 기록된 앞쪽 ${excludeFirst}회 제외)`}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
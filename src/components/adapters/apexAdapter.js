@@ -0,0 +1,170 @@
+// ApexCharts 어댑터 (SVG 렌더러)
+import { createRenderSignal } from './renderSignal';
+
+let ApexCharts = null;
+
+// 지원/매핑 대상 타입 목록 (Apex에서 직접 표현 가능하거나 근사 표현)
+const TYPES = [
+  'line','bar','pie','scatter','candlestick','radar','boxplot','heatmap','treemap','pictorialBar','gauge','matrix'
+];
+
+// 타입별 Apex 변환기
+function mapToApex(dataset, raw) {
+  switch(dataset) {
+    case 'line':
+      return {
+        type: 'line',
+        series: raw.map(s=>({ name: s.name, data: s.data })),
+        options: { xaxis:{ type:'datetime' }, stroke:{ curve:'smooth', width:2 } }
+      };
+    case 'bar':
+      return {
+        type: 'bar',
+        series: raw.series.map(s=>({ name: s.name, data: s.data })),
+        options: { xaxis:{ categories: raw.categories } }
+      };
+    case 'pie': {
+      return {
+        type: 'pie',
+        series: raw.map(r=>r.value),
+        options: { labels: raw.map(r=>r.name) }
+      };
+    }
+    case 'scatter':
+      return {
+        type: 'scatter',
+        series: [{ name:'Scatter', data: raw }],
+        options: { xaxis:{ type:'numeric' } }
+      };
+    case 'candlestick':
+      return {
+        type: 'candlestick',
+        series: [{ data: raw.map(d=>({ x:d[0], y:[d[1],d[2],d[3],d[4]] })) }],
+        options: { xaxis:{ type:'datetime' } }
+      };
+    case 'radar':
+      return {
+        type: 'radar',
+        series: raw.series.map(s=>({ name:s.name, data:s.value })),
+        options: { xaxis:{ categories: raw.indicators.map(i=>i.name) } }
+      };
+    case 'boxplot':
+      return {
+        type: 'boxPlot',
+        series: [{ type:'boxPlot', data: raw.map(r=>({ x:r.name, y:r.value })) }],
+        options: {}
+      };
+    case 'heatmap':
+    case 'matrix': { // 동일 구조
+      const { xLabels, yLabels, data } = raw;
+      // yLabel 별 series 구성
+      const matrix = yLabels.map((yl, yi)=>({
+        name: yl,
+        data: xLabels.map((xl, xi)=>{
+          const cell = data.find(d=>d[0]===xi && d[1]===yi);
+            return { x: xl, y: cell ? cell[2] : null };
+        })
+      }));
+      return {
+        type: 'heatmap',
+        series: matrix,
+        options: {}
+      };
+    }
+    case 'treemap': {
+      // raw is hierarchical root -> flatten leaves
+      const leaves = [];
+      function walk(node){
+        if (node.children && node.children.length) node.children.forEach(walk); else if (typeof node.value === 'number') leaves.push({ x: node.name, y: node.value });
+      }
+      walk(raw);
+      return {
+        type: 'treemap',
+        series: [{ data: leaves }],
+        options: { legend:{ show:false } }
+      };
+    }
+    case 'pictorialBar': {
+      // 근사: 일반 bar 로 표현
+      const categories = raw.map(r=>r.name);
+      return {
+        type: 'bar',
+        series: [{ name:'Value', data: raw.map(r=>r.value) }],
+        options: { xaxis:{ categories } }
+      };
+    }
+    case 'gauge': {
+      // 근사: radialBar
+      return {
+        type: 'radialBar',
+        series: [ raw.value ],
+        options: { labels:['Gauge'], plotOptions:{ radialBar:{ hollow:{ size:'55%' }, dataLabels:{ value:{ formatter: v=>v.toFixed(1) } } } }, yaxis:{ min:raw.min, max:raw.max } }
+      };
+    }
+    default:
+      return { type: 'line', series: [], options: {} };
+  }
+}
+
+// 공통 옵션 + 타입별 변환 결과 병합 (측정 일관성 위해 애니메이션 비활성)
+// onRendered: mounted / updated 이벤트 콜백 (렌더 완료 신호)
+function toOptions(type, raw, { width, height }, onRendered) {
+  const mapped = mapToApex(type, raw);
+  return {
+    chart:{ type: mapped.type, width, height, animations:{ enabled:false }, events:{ mounted: onRendered, updated: onRendered } },
+    legend:{ position:'top' },
+    series: mapped.series,
+    ...mapped.options
+  };
+}
+
+export default {
+  id: 'apex',
+  label: 'ApexCharts',
+  capabilities: { types: TYPES, renderers: ['svg'], zoom: ['line','candlestick'], stream: ['line'] },
+  async load() {
+    if (!ApexCharts) ApexCharts = (await import('apexcharts')).default;
+    return ApexCharts;
+  },
+  async mount(container, { type, raw, width, height }) {
+    const rendered = createRenderSignal();
+    const instance = new ApexCharts(container, toOptions(type, raw, { width, height }, rendered.fire));
+    const done = rendered.next();
+    await instance.render();
+    const timedOut = !(await done);
+    return { library: 'apex', type, container, instance, width, height, raw, rendered, timedOut };
+  },
+  async update(handle, raw) {
+    handle.raw = raw;
+    // chart 키(이벤트 포함)는 마운트 시 설정 유지
+    const { chart: _chart, ...options } = toOptions(handle.type, raw, handle);
+    const done = handle.rendered.next();
+    await handle.instance.updateOptions(options, false, false);
+    handle.timedOut = !(await done);
+  },
+  resize(handle, { width, height }) {
+    handle.width = width;
+    handle.height = height;
+    return handle.instance.updateOptions({ chart:{ width, height } }, false, false);
+  },
+  destroy(handle) {
+    handle.instance.destroy();
+  },
+  // zoomX 는 내부 갱신 promise 를 반환하지 않으므로 updated 이벤트(렌더 완료 신호)로 대기
+  async zoom(handle, { min, max }) {
+    const done = handle.rendered.next();
+    handle.instance.zoomX(min, max);
+    handle.timedOut = !(await done);
+  },
+  // 윈도우가 찰 때까지는 appendData, 이후에는 잘라낸 시리즈로 교체
+  async append(handle, chunk, { window }) {
+    const full = handle.raw.map((s, i) => ({ name: s.name, data: s.data.concat(chunk[i].data) }));
+    if (full.every(s => s.data.length <= window)) {
+      handle.raw = full;
+      await handle.instance.appendData(chunk.map(s => ({ data: s.data })));
+      return;
+    }
+    handle.raw = full.map(s => ({ name: s.name, data: s.data.slice(-window) }));
+    await handle.instance.updateSeries(handle.raw, false);
+  }
+};
@@ -0,0 +1,99 @@
+// Chart.js 어댑터 (필요한 컨트롤러만 등록해 트리 셰이킹, 등록 구성은 chartjsSetup.js)
+import { createRenderSignal } from './renderSignal';
+
+let Chart = null;
+
+// 지원 타입 (graph/tree/treemap/sunburst/sankey/boxplot 은 플러그인 미설치)
+const TYPES = [
+  'line','bar','pie','scatter','candlestick','radar','heatmap','funnel','gauge','pictorialBar','calendar','matrix'
+];
+
+const palette = ['#2563eb','#16a34a','#dc2626','#9333ea','#f59e0b','#0d9488','#be123c','#0891b2','#f472b6','#475569'];
+
+function buildConfig(type, raw) {
+  switch(type) {
+    case 'line': {
+      return {
+        type:'line',
+        data:{ datasets: raw.map((s,i)=> ({ label:s.name, data: s.data.map(p=> ({ x:p[0], y:p[1] })), pointRadius:0, borderWidth:2, borderColor: palette[i%palette.length], fill:false })) },
+        options:{ scales:{ x:{ type:'time' }, y:{ type:'linear' } }, animation:false }
+      };
+    }
+    case 'bar': return { type:'bar', data:{ labels: raw.categories, datasets: raw.series.map((s,i)=> ({ label:s.name, data:s.data, backgroundColor: palette[i%palette.length] })) } };
+    case 'pie': return { type:'pie', data:{ labels: raw.map(r=>r.name), datasets:[{ data: raw.map(r=>r.value), backgroundColor: raw.map((_,i)=> palette[i%palette.length]) }] } };
+    case 'scatter': return { type:'scatter', data:{ datasets:[{ label:'Scatter', data: raw.map(r=>({ x:r[0], y:r[1] })), backgroundColor: palette[0], pointRadius:3 }] }, options:{ scales:{ x:{ type:'linear' }, y:{ type:'linear' } } } };
+    case 'candlestick': {
+      return { type:'candlestick', data:{ datasets:[{ label:'OHLC', data: raw.map(r=> ({ x:r[0], o:r[1], h:r[2], l:r[3], c:r[4] }) ) }] }, options:{ scales:{ x:{ type:'time' }, y:{ type:'linear' } } } };
+    }
+    case 'radar': return { type:'radar', data:{ labels: raw.indicators.map(i=>i.name), datasets: raw.series.map((s,i)=> ({ label:s.name, data:s.value, borderColor:palette[i%palette.length], backgroundColor: palette[i%palette.length]+'33' })) } };
+    case 'heatmap':
+    case 'matrix': { const { xLabels, yLabels, data } = raw; return { type:'matrix', data:{ datasets:[{ label:'Heat', data: data.map(d=>({ x:xLabels[d[0]], y:yLabels[d[1]], v:d[2] })), width: ({chart})=> (chart.chartArea||{}).width / xLabels.length - 2, height: ({chart})=> (chart.chartArea||{}).height / yLabels.length - 2, backgroundColor: ctx => { const v=ctx.raw.v; const t=v/100; return `rgba(${Math.round(255*t)},80,${Math.round(255*(1-t))},0.9)`; } }] }, options:{ scales:{ x:{ type:'category' }, y:{ type:'category' } } } }; }
+    case 'funnel': return { type:'bar', data:{ labels: raw.map(r=>r.name), datasets:[{ label:'Funnel', data: raw.map(r=>r.value), backgroundColor: raw.map((_,i)=> palette[i%palette.length]) }] }, options:{ indexAxis:'y' } };
+    case 'gauge': { const pct = (raw.value - raw.min)/(raw.max - raw.min || 1)*100; return { type:'doughnut', data:{ labels:['Value','Remainder'], datasets:[{ data:[pct,100-pct], backgroundColor:['#2563eb','#e5e7eb'], circumference:180, rotation:270, borderWidth:0 }] }, options:{ plugins:{ legend:{ display:false } } } }; }
+    case 'pictorialBar': return { type:'bar', data:{ labels: raw.map(r=>r.name), datasets:[{ label:'Value', data: raw.map(r=>r.value), backgroundColor: raw.map((_,i)=> palette[i%palette.length]) }] } };
+    case 'calendar': return { type:'line', data:{ datasets:[{ label:'Value', data: raw.map(r=> ({ x:new Date(r[0]).getTime(), y:r[1] })), borderColor: palette[0], pointRadius:0, borderWidth:2 }] }, options:{ scales:{ x:{ type:'time' }, y:{ type:'linear' } } } };
+    default: return { type:'line', data:{ labels:[], datasets:[] } };
+  }
+}
+
+// 측정 일관성 위해 애니메이션 비활성, 크기는 어댑터가 직접 관리
+// pixelRatio 지정 시 window.devicePixelRatio 대신 사용 (캔버스 백킹 스토어 배율)
+function toConfig(type, raw, pixelRatio) {
+  const cfg = buildConfig(type, raw);
+  return { ...cfg, options:{ ...(cfg.options || {}), animation:false, responsive:false, maintainAspectRatio:false, ...(pixelRatio ? { devicePixelRatio: pixelRatio } : {}) } };
+}
+
+export default {
+  id: 'chartjs',
+  label: 'Chart.js',
+  capabilities: { types: TYPES, renderers: ['canvas'], pixelRatio: true, zoom: ['line','candlestick'], stream: ['line'] },
+  async load() {
+    if (!Chart) Chart = (await import('./chartjsSetup')).default;
+    return Chart;
+  },
+  async mount(container, { type, raw, width, height, pixelRatio }) {
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    container.appendChild(canvas);
+    // animation:false 면 options.animation.onComplete 를 둘 수 없으므로
+    // 같은 시점(onAnimationsComplete)에 호출되는 afterRender 플러그인 훅을 완료 신호로 사용
+    const rendered = createRenderSignal();
+    const done = rendered.next();
+    const instance = new Chart(canvas, { ...toConfig(type, raw, pixelRatio), plugins:[{ id:'renderSignal', afterRender: rendered.fire }] });
+    const timedOut = !(await done);
+    return { library: 'chartjs', type, container, instance, canvas, rendered, pixelRatio, timedOut };
+  },
+  async update(handle, raw) {
+    const cfg = toConfig(handle.type, raw, handle.pixelRatio);
+    handle.instance.data = cfg.data;
+    handle.instance.options = cfg.options;
+    const done = handle.rendered.next();
+    handle.instance.update('none');
+    handle.timedOut = !(await done);
+  },
+  resize(handle, { width, height }) {
+    handle.instance.resize(width, height);
+  },
+  destroy(handle) {
+    handle.instance.destroy();
+    handle.canvas.remove();
+  },
+  // zoom 플러그인 없이 x 스케일 범위만 갱신
+  async zoom(handle, { min, max }) {
+    const { x } = handle.instance.options.scales;
+    x.min = min;
+    x.max = max;
+    const done = handle.rendered.next();
+    handle.instance.update('none');
+    handle.timedOut = !(await done);
+  },
+  // 데이터셋 배열을 직접 밀고 당긴 뒤 애니메이션 없이 갱신
+  async append(handle, chunk, { window }) {
+    handle.instance.data.datasets.forEach((dataset, i) => {
+      dataset.data.push(...chunk[i].data.map(p => ({ x:p[0], y:p[1] })));
+      if (dataset.data.length > window) dataset.data.splice(0, dataset.data.length - window);
+    });
+    handle.instance.update('none');
+  }
+};
@@ -0,0 +1,29 @@
+// Chart.js 트리 셰이킹 구성: 어댑터가 쓰는 컨트롤러/요소/스케일/플러그인만 named import 로 등록
+// (어댑터는 이 모듈 하나를 동적 import → 등록하지 않은 컨트롤러는 번들에서 빠짐)
+import {
+  Chart,
+  LineController, LineElement, PointElement,
+  BarController, BarElement,
+  PieController, DoughnutController, ArcElement,
+  ScatterController,
+  RadarController, RadialLinearScale,
+  CategoryScale, LinearScale, TimeScale,
+  Tooltip, Legend
+} from 'chart.js';
+import 'chartjs-adapter-date-fns';
+import { CandlestickController, CandlestickElement, OhlcController, OhlcElement } from 'chartjs-chart-financial';
+import { MatrixController, MatrixElement } from 'chartjs-chart-matrix';
+
+Chart.register(
+  LineController, LineElement, PointElement,
+  BarController, BarElement,
+  PieController, DoughnutController, ArcElement,
+  ScatterController,
+  RadarController, RadialLinearScale,
+  CategoryScale, LinearScale, TimeScale,
+  Tooltip, Legend,
+  CandlestickController, CandlestickElement, OhlcController, OhlcElement,
+  MatrixController, MatrixElement
+);
+
+export default Chart;
@@ -0,0 +1,128 @@
+// ECharts 어댑터
+import { createRenderSignal } from './renderSignal';
+
+let echarts = null;
+
+// 전체 지원 타입 (요청된 18종)
+const TYPES = [
+  'line','bar','pie','scatter','candlestick','radar','boxplot','heatmap','graph','tree','treemap','sunburst','sankey','funnel','gauge','pictorialBar','calendar','matrix'
+];
+
+// 매핑 함수: raw 데이터 -> ECharts option
+function buildOption(type, raw) {
+  switch(type) {
+    case 'line': {
+      const series = raw.map(s => ({ name: s.name, type:'line', showSymbol:false, data: s.data }));
+      return { xAxis:{ type:'time' }, yAxis:{ type:'value' }, tooltip:{ trigger:'axis' }, legend:{ top:0 }, series };
+    }
+    case 'bar': {
+      return { xAxis:{ type:'category', data: raw.categories }, yAxis:{ type:'value' }, tooltip:{ trigger:'axis' }, legend:{ top:0 }, series: raw.series.map(s=>({ name:s.name, type:'bar', data:s.data })) };
+    }
+    case 'pie': {
+      return { tooltip:{ trigger:'item' }, legend:{ top:0 }, series:[{ type:'pie', radius:['35%','70%'], data: raw }] };
+    }
+    case 'scatter': {
+      return { xAxis:{}, yAxis:{}, tooltip:{ trigger:'item' }, series:[{ type:'scatter', symbolSize:6, data: raw }] };
+    }
+    case 'candlestick': {
+      // raw: [time, open, high, low, close]; ECharts: time 축 + [time, open, close, low, high]
+      const data = raw.map(r=>[r[0], r[1], r[4], r[3], r[2]]);
+      return { xAxis:{ type:'time' }, yAxis:{ scale:true }, tooltip:{ trigger:'axis' }, series:[{ type:'candlestick', data, encode:{ x:0, y:[1,2,3,4] } }] };
+    }
+    case 'radar': {
+      return { tooltip:{}, legend:{ top:0 }, radar:{ indicator: raw.indicators }, series:[{ type:'radar', data: raw.series.map(s=>({ name:s.name, value:s.value })) }] };
+    }
+    case 'boxplot': {
+      // raw: [{name,value:[min,q1,median,q3,max]}]
+      return { xAxis:{ type:'category', data: raw.map(r=>r.name) }, yAxis:{ type:'value', scale:true }, tooltip:{ trigger:'item' }, series:[{ type:'boxplot', data: raw.map(r=>r.value) }] };
+    }
+    case 'heatmap':
+    case 'matrix': {
+      const { xLabels, yLabels, data } = raw;
+      return { tooltip:{ position:'top' }, grid:{ top:50 }, xAxis:{ type:'category', data:xLabels }, yAxis:{ type:'category', data:yLabels }, visualMap:{ min:0, max:100, orient:'horizontal', left:'center', bottom:10 }, series:[{ type:'heatmap', data, emphasis:{ itemStyle:{ shadowBlur:10, shadowColor:'rgba(0,0,0,0.4)' } } }] };
+    }
+    case 'graph': {
+      return { tooltip:{}, series:[{ type:'graph', layout:'force', roam:true, data: raw.nodes.map(n=>({ name:n.id, value:n.value })), links: raw.links, force:{ repulsion:60 } }] };
+    }
+    case 'tree': {
+      return { tooltip:{ trigger:'item', triggerOn:'mousemove' }, series:[{ type:'tree', data:[raw], top:'5%', bottom:'5%', symbolSize:8, expandAndCollapse:true, initialTreeDepth:2, animationDuration:300 }] };
+    }
+    case 'treemap': {
+      return { tooltip:{}, series:[{ type:'treemap', data: raw.children }] };
+    }
+    case 'sunburst': {
+      return { tooltip:{}, series:[{ type:'sunburst', radius:['10%','80%'], data: raw.children, sort:undefined }] };
+    }
+    case 'sankey': {
+      return { tooltip:{}, series:[{ type:'sankey', data: raw.nodes, links: raw.links, emphasis:{ focus:'adjacency' } }] };
+    }
+    case 'funnel': {
+      return { tooltip:{ trigger:'item' }, legend:{ top:0 }, series:[{ type:'funnel', data: raw, minSize:'10%', maxSize:'80%', label:{ show:true, position:'inside' } }] };
+    }
+    case 'gauge': {
+      return { series:[{ type:'gauge', progress:{ show:true }, detail:{ valueAnimation:true }, data:[{ value: raw.value }] }] };
+    }
+    case 'pictorialBar': {
+      return { xAxis:{ type:'category', data: raw.map(r=>r.name) }, yAxis:{ type:'value' }, tooltip:{ trigger:'axis' }, series:[{ type:'pictorialBar', symbol:'rect', symbolRepeat:true, data: raw.map(r=>r.value) }] };
+    }
+    case 'calendar': {
+      const first = raw[0][0]; const last = raw[raw.length-1][0];
+      return { tooltip:{}, visualMap:{ min:0, max:100, calculable:true, orient:'horizontal', left:'center' }, calendar:{ range:[first,last] }, series:[{ type:'heatmap', coordinateSystem:'calendar', data: raw }] };
+    }
+    default:
+      return { series:[] };
+  }
+}
+
+// 측정 일관성 위해 애니메이션 비활성
+// interactive: 줌 가능 타입에 inside dataZoom 추가 (데모 / 줌·팬 측정만, 기본 마운트·업데이트 측정에는 포함하지 않음)
+const ZOOM_TYPES = ['line','candlestick'];
+const toOption = (type, raw, interactive = false) => ({
+  animation:false,
+  ...buildOption(type, raw),
+  ...(interactive && ZOOM_TYPES.includes(type) ? { dataZoom:[{ type:'inside' }] } : {})
+});
+
+export default {
+  id: 'echarts',
+  label: 'ECharts',
+  capabilities: { types: TYPES, renderers: ['canvas', 'svg'], pixelRatio: true, zoom: ZOOM_TYPES, stream: ['line'] },
+  async load() {
+    if (!echarts) echarts = await import('echarts');
+    return echarts;
+  },
+  async mount(container, { type, raw, width, height, renderer = 'canvas', pixelRatio, interactive = false }) {
+    const instance = echarts.init(container, null, { width, height, renderer, devicePixelRatio: pixelRatio });
+    // 'finished': 애니메이션/점진 렌더링까지 끝난 프레임 이후 발생
+    const rendered = createRenderSignal();
+    instance.on('finished', rendered.fire);
+    const done = rendered.next();
+    instance.setOption(toOption(type, raw, interactive), true);
+    const timedOut = !(await done);
+    return { library: 'echarts', type, container, instance, raw, rendered, renderer, interactive, timedOut };
+  },
+  async update(handle, raw) {
+    handle.raw = raw;
+    const done = handle.rendered.next();
+    handle.instance.setOption(toOption(handle.type, raw, handle.interactive), true);
+    handle.timedOut = !(await done);
+  },
+  resize(handle, { width, height }) {
+    handle.instance.resize({ width, height });
+  },
+  destroy(handle) {
+    handle.instance.dispose();
+  },
+  // interactive 마운트의 inside dataZoom 사용 (없으면 병합으로 추가), 다시 그리기 완료('finished')까지 대기
+  async zoom(handle, { min, max }) {
+    const done = handle.rendered.next();
+    if (handle.interactive) handle.instance.dispatchAction({ type:'dataZoom', startValue: min, endValue: max });
+    else handle.instance.setOption({ dataZoom:[{ type:'inside', startValue: min, endValue: max }] });
+    handle.timedOut = !(await done);
+  },
+  // 윈도우 유지가 필요하므로 appendData 대신 series data 만 병합 갱신
+  async append(handle, chunk, { window }) {
+    handle.raw = handle.raw.map((s, i) => ({ ...s, data: s.data.concat(chunk[i].data).slice(-window) }));
+    handle.instance.setOption({ series: handle.raw.map(s => ({ data: s.data })) });
+  }
+};
@@ -0,0 +1,116 @@
+// 차트 라이브러리 어댑터 레지스트리
+// 벤치마크 / UnifiedViewer / 개별 데모 모두 이 인터페이스로 차트를 그림
+// 새 라이브러리 추가 = 이 디렉터리에 <id>Adapter.js 파일 1개 작성 (default export, 자동 등록 + 번들 크기 측정 대상)
+//
+// 어댑터 인터페이스
+//   id, label
+//   capabilities: { types: [지원 차트 타입], renderers: ['canvas' | 'svg'] (첫 번째가 기본), pixelRatio: mount 에서 DPR 강제 가능 여부,
+//                   zoom: [x축 줌/팬 가능 타입], stream: [실시간 추가 가능 타입] }
+//   load()                                       → 라이브러리 동적 로드 (1회 캐시, 첫 로드 소요 시간은 레지스트리가 기록)
+//   mount(container, { type, raw, width, height, renderer, pixelRatio, interactive }) → handle (async, 라이브러리의 렌더 완료 신호 후 resolve)
+//                                                  renderer 는 capabilities.renderers 중 하나, pixelRatio 는 capabilities.pixelRatio 일 때만 적용
+//                                                  interactive: 사용자 줌/팬 등 상호작용 구성 포함 (데모 / 줌 측정용, 기본 false)
+//   update(handle, raw)                          → 같은 타입 데이터 교체 (async, 렌더 완료 신호 후 resolve)
+//   resize(handle, { width, height })
+//   destroy(handle)
+//   zoom(handle, { min, max })                   → x축 표시 범위 변경 (선택, capabilities.zoom 타입만, async, 렌더 완료 신호 후 resolve)
+//   append(handle, chunk, { window })            → 같은 구조의 새 포인트 추가, 시리즈당 최근 window 개만 유지 (선택, capabilities.stream 타입만, async)
+// handle: { library, type, container, instance, timedOut, ... } (어댑터별 추가 필드 허용)
+//   timedOut: 마지막 mount/update/zoom 이 렌더 완료 신호 없이 timeout 으로 끝났는지 (측정값 무효)
+// 렌더 완료 신호는 라이브러리 내부 처리 종료까지만 보장, 화면 반영은 호출 측에서 페인트 대기
+
+// 파일 이름 순 (scripts/measure-bundles.js 도 같은 규칙으로 엔트리를 찾으므로 id 와 파일 이름이 일치해야 함)
+const BUILTIN = Object.entries(import.meta.glob('./*Adapter.js', { eager: true, import: 'default' }))
+  .map(([path, adapter]) => {
+    const id = path.slice(2, -'Adapter.js'.length);
+    if (adapter?.id !== id) throw new Error(`Chart adapter file ${path} must export an adapter with id "${id}"`);
+    return adapter;
+  });
+const METHODS = ['load', 'mount', 'update', 'resize', 'destroy'];
+
+const registry = new Map();
+const loadTimes = new Map(); // id → 첫 load() 소요 시간 (동적 import + 모듈 평가, 페이지 세션당 1회)
+const preloaded = new Set(); // 어댑터 밖에서 먼저 import 된 라이브러리 id (모듈 캐시 공유 → 첫 load() 도 cold 아님)
+
+// load() 를 감싸 첫 로드 시간 기록 (동시 호출은 같은 promise 공유, 실패 시 다음 호출에서 재시도)
+function timedLoad(id, load) {
+  let pending = null;
+  return () => {
+    if (!pending) {
+      const start = performance.now();
+      pending = load().then(lib => {
+        loadTimes.set(id, performance.now() - start);
+        return lib;
+      });
+      pending.catch(() => { pending = null; });
+    }
+    return pending;
+  };
+}
+
+export function registerAdapter(adapter) {
+  if (!adapter || !adapter.id) throw new Error('Chart adapter requires an id');
+  const missing = METHODS.filter(m => typeof adapter[m] !== 'function');
+  if (missing.length) throw new Error(`Chart adapter "${adapter.id}" is missing: ${missing.join(', ')}`);
+  if (!Array.isArray(adapter.capabilities?.types)) throw new Error(`Chart adapter "${adapter.id}" has no capabilities.types`);
+  const registered = { ...adapter, load: timedLoad(adapter.id, adapter.load.bind(adapter)) };
+  registry.set(adapter.id, registered);
+  return registered;
+}
+
+export function getAdapter(id) {
+  const adapter = registry.get(id);
+  if (!adapter) throw new Error(`Unknown chart library: ${id}`);
+  return adapter;
+}
+
+export function listAdapters() {
+  return Array.from(registry.values());
+}
+
+// 이미 로드된 라이브러리인지 (다음 마운트가 cold start 인지 판단)
+export function isLoaded(id) {
+  return loadTimes.has(id) || preloaded.has(id);
+}
+
+// 첫 load() 소요 시간(ms), 아직 로드 전이거나 다른 곳에서 먼저 import 되어 측정 의미가 없으면 null
+export function getLoadTime(id) {
+  return preloaded.has(id) ? null : loadTimes.get(id) ?? null;
+}
+
+// 어댑터를 거치지 않고 라이브러리 모듈을 import 하는 코드(결과 차트 등)가 호출
+// 어댑터의 첫 load() 전이면 이후 마운트를 cold start 로 기록하지 않음
+export function markPreloaded(id) {
+  if (!loadTimes.has(id)) preloaded.add(id);
+}
+
+// 라이브러리가 그릴 수 있는 렌더러 (첫 번째가 기본)
+export function renderersOf(id) {
+  return getAdapter(id).capabilities.renderers || ['canvas'];
+}
+
+// mount 의 pixelRatio 로 devicePixelRatio 를 강제할 수 있는지 (uPlot 은 전역 DPR 고정, SVG 는 해당 없음)
+export function supportsPixelRatio(id) {
+  return !!registry.get(id)?.capabilities.pixelRatio;
+}
+
+export function supportsType(id, type) {
+  const adapter = registry.get(id);
+  return !!adapter && adapter.capabilities.types.includes(type);
+}
+
+// 선택 기능: 메서드 구현 + capabilities[feature] 에 타입 명시
+function supportsFeature(id, feature, method, type) {
+  const adapter = registry.get(id);
+  return !!adapter && typeof adapter[method] === 'function' && (adapter.capabilities[feature] || []).includes(type);
+}
+
+export function supportsZoom(id, type) {
+  return supportsFeature(id, 'zoom', 'zoom', type);
+}
+
+export function supportsStream(id, type) {
+  return supportsFeature(id, 'stream', 'append', type);
+}
+
+BUILTIN.forEach(registerAdapter);
@@ -0,0 +1,18 @@
+// 라이브러리별 "렌더 완료" 콜백 → promise 변환
+// 렌더를 시작하기 전에 next() 로 대기 promise 를 만들고, 라이브러리 콜백에서 fire() 호출
+// 신호가 오지 않는 경우(빈 데이터 등) timeout 뒤 false 로 진행해 측정이 멈추지 않도록 함
+// 어댑터는 결과를 handle.timedOut 에 기록 → 벤치마크는 그 측정값(≈timeout)을 버림
+export function createRenderSignal(timeout = 10000) {
+  let pending = null;
+  return {
+    next() {
+      return new Promise(resolve => {
+        const timer = setTimeout(() => { pending = null; resolve(false); }, timeout);
+        pending = () => { clearTimeout(timer); pending = null; resolve(true); };
+      });
+    },
+    fire() {
+      if (pending) pending();
+    }
+  };
+}
@@ -0,0 +1,612 @@
+// uPlot 어댑터 (타입별 커스텀 Canvas 플러그인)
+import { createRenderSignal } from './renderSignal';
+
+let uPlot = null;
+
+// uPlot에서 구현 가능한 타입들
+const TYPES = [
+  'line','bar','scatter','pie','candlestick','boxplot','heatmap','funnel','gauge','pictorialBar','calendar','matrix'
+];
+
+// setData 만으로 갱신 가능한 타입 (나머지는 플러그인/축 포맷터가 raw 를 캡처하므로 재생성)
+const DATA_ONLY_TYPES = ['line','scatter','candlestick','calendar'];
+
+// 색상 팔레트 (chartjsAdapter와 동일)
+const palette = ['#2563eb','#16a34a','#dc2626','#9333ea','#f59e0b','#0d9488','#be123c','#0891b2','#f472b6','#475569'];
+
+// ========== uPlot 플러그인들 ==========
+
+// Bar 플러그인
+function barPlugin() {
+  return {
+    hooks: {
+      draw: (u) => {
+        const { ctx, data, series } = u;
+        const seriesCount = series.length - 1; // x축 제외
+        if (seriesCount <= 0) return;
+        
+        const xVals = data[0];
+        const len = xVals.length;
+        if (len === 0) return;
+        
+        // 바 간격 계산
+        let gap = 60;
+        if (len > 1) {
+          gap = u.valToPos(1, 'x', true) - u.valToPos(0, 'x', true);
+        }
+        
+        const groupWidth = gap * 0.8;
+        const barWidth = groupWidth / seriesCount;
+        
+        for (let i = 0; i < len; i++) {
+          const xPos = u.valToPos(i, 'x', true);
+          const leftStart = xPos - groupWidth / 2;
+          
+          for (let s = 1; s <= seriesCount; s++) {
+            const val = data[s][i];
+            if (val == null) continue;
+            
+            const yPos = u.valToPos(val, 'y', true);
+            const yZero = u.valToPos(0, 'y', true);
+            const height = Math.abs(yZero - yPos);
+            
+            ctx.fillStyle = palette[(s-1) % palette.length];
+            ctx.fillRect(
+              Math.round(leftStart + (s-1) * barWidth),
+              Math.round(Math.min(yPos, yZero)),
+              Math.round(barWidth - 2),
+              Math.round(height)
+            );
+          }
+        }
+      }
+    }
+  };
+}
+
+// Scatter 플러그인
+function scatterPlugin() {
+  return {
+    hooks: {
+      draw: (u) => {
+        const { ctx, data } = u;
+        const x = data[0];
+        const y = data[1];
+        
+        if (!x || !y) return;
+        
+        ctx.fillStyle = palette[0];
+        for (let i = 0; i < x.length; i++) {
+          const px = u.valToPos(x[i], 'x', true);
+          const py = u.valToPos(y[i], 'y', true);
+          
+          ctx.beginPath();
+          ctx.arc(px, py, 4, 0, 2 * Math.PI);
+          ctx.fill();
+        }
+      }
+    }
+  };
+}
+
+// Pie 플러그인
+function piePlugin(rawData) {
+  return {
+    hooks: {
+      draw: (u) => {
+        const { ctx, bbox } = u;
+        const centerX = bbox.left + bbox.width / 2;
+        const centerY = bbox.top + bbox.height / 2;
+        const radius = Math.min(bbox.width, bbox.height) * 0.35;
+        
+        const total = rawData.reduce((sum, item) => sum + item.value, 0);
+        let currentAngle = -Math.PI / 2;
+        
+        rawData.forEach((item, index) => {
+          const sliceAngle = (item.value / total) * 2 * Math.PI;
+          
+          ctx.fillStyle = palette[index % palette.length];
+          ctx.beginPath();
+          ctx.moveTo(centerX, centerY);
+          ctx.arc(centerX, centerY, radius, currentAngle, currentAngle + sliceAngle);
+          ctx.closePath();
+          ctx.fill();
+          
+          // 라벨
+          const labelAngle = currentAngle + sliceAngle / 2;
+          const labelX = centerX + Math.cos(labelAngle) * radius * 0.7;
+          const labelY = centerY + Math.sin(labelAngle) * radius * 0.7;
+          
+          ctx.fillStyle = '#fff';
+          ctx.font = '12px sans-serif';
+          ctx.textAlign = 'center';
+          ctx.textBaseline = 'middle';
+          ctx.fillText(item.name, labelX, labelY);
+          
+          currentAngle += sliceAngle;
+        });
+      }
+    }
+  };
+}
+
+// Candlestick 플러그인
+function candlestickPlugin() {
+  return {
+    hooks: {
+      draw: (u) => {
+        const { ctx, data } = u;
+        const x = data[0];
+        const open = data[1];
+        const high = data[2];
+        const low = data[3];
+        const close = data[4];
+        
+        if (!x || x.length === 0) return;
+        
+        const candleWidth = 8;
+        
+        for (let i = 0; i < x.length; i++) {
+          const xPos = u.valToPos(x[i], 'x', true);
+          const openY = u.valToPos(open[i], 'y', true);
+          const highY = u.valToPos(high[i], 'y', true);
+          const lowY = u.valToPos(low[i], 'y', true);
+          const closeY = u.valToPos(close[i], 'y', true);
+          
+          const isUp = close[i] >= open[i];
+          ctx.strokeStyle = isUp ? '#16a34a' : '#dc2626';
+          ctx.fillStyle = isUp ? '#16a34a' : '#dc2626';
+          ctx.lineWidth = 1;
+          
+          // 심지
+          ctx.beginPath();
+          ctx.moveTo(xPos, highY);
+          ctx.lineTo(xPos, lowY);
+          ctx.stroke();
+          
+          // 몸통
+          const bodyTop = Math.min(openY, closeY);
+          const bodyHeight = Math.abs(openY - closeY);
+          
+          ctx.fillRect(
+            xPos - candleWidth / 2,
+            bodyTop,
+            candleWidth,
+            Math.max(bodyHeight, 1)
+          );
+        }
+      }
+    }
+  };
+}
+
+// Boxplot 플러그인
+function boxplotPlugin() {
+  return {
+    hooks: {
+      draw: (u) => {
+        const { ctx, data } = u;
+        const x = data[0];
+        const mins = data[1];
+        const q1s = data[2];
+        const medians = data[3];
+        const q3s = data[4];
+        const maxs = data[5];
+        
+        if (!x || x.length === 0) return;
+        
+        const boxWidth = 40;
+        ctx.strokeStyle = '#666';
+        ctx.fillStyle = '#e3f2fd';
+        ctx.lineWidth = 1;
+        
+        for (let i = 0; i < x.length; i++) {
+          const xPos = u.valToPos(i, 'x', true);
+          const minY = u.valToPos(mins[i], 'y', true);
+          const q1Y = u.valToPos(q1s[i], 'y', true);
+          const medY = u.valToPos(medians[i], 'y', true);
+          const q3Y = u.valToPos(q3s[i], 'y', true);
+          const maxY = u.valToPos(maxs[i], 'y', true);
+          
+          // 박스
+          const boxHeight = q1Y - q3Y;
+          ctx.fillRect(xPos - boxWidth/2, q3Y, boxWidth, boxHeight);
+          ctx.strokeRect(xPos - boxWidth/2, q3Y, boxWidth, boxHeight);
+          
+          // 중앙값 선
+          ctx.beginPath();
+          ctx.moveTo(xPos - boxWidth/2, medY);
+          ctx.lineTo(xPos + boxWidth/2, medY);
+          ctx.stroke();
+          
+          // 수염
+          ctx.beginPath();
+          ctx.moveTo(xPos, q3Y);
+          ctx.lineTo(xPos, maxY);
+          ctx.moveTo(xPos, q1Y);
+          ctx.lineTo(xPos, minY);
+          ctx.stroke();
+          
+          // 끝 캡
+          ctx.beginPath();
+          ctx.moveTo(xPos - boxWidth/4, maxY);
+          ctx.lineTo(xPos + boxWidth/4, maxY);
+          ctx.moveTo(xPos - boxWidth/4, minY);
+          ctx.lineTo(xPos + boxWidth/4, minY);
+          ctx.stroke();
+        }
+      }
+    }
+  };
+}
+
+// Heatmap 플러그인
+function heatmapPlugin(rawData) {
+  return {
+    hooks: {
+      draw: (u) => {
+        const { ctx, bbox } = u;
+        const { xLabels, yLabels, data } = rawData;
+        
+        const cellWidth = bbox.width / xLabels.length;
+        const cellHeight = bbox.height / yLabels.length;
+        
+        const values = data.map(d => d[2]);
+        const minVal = Math.min(...values);
+        const maxVal = Math.max(...values);
+        
+        data.forEach(([x, y, value]) => {
+          const intensity = (value - minVal) / (maxVal - minVal);
+          const red = Math.round(intensity * 255);
+          const blue = Math.round((1 - intensity) * 255);
+          
+          ctx.fillStyle = `rgb(${red}, 100, ${blue})`;
+          ctx.fillRect(
+            bbox.left + x * cellWidth,
+            bbox.top + y * cellHeight,
+            cellWidth,
+            cellHeight
+          );
+        });
+      }
+    }
+  };
+}
+
+// Gauge 플러그인
+function gaugePlugin(rawData) {
+  return {
+    hooks: {
+      draw: (u) => {
+        const { ctx, bbox } = u;
+        const { min, max, value } = rawData;
+        const percent = (value - min) / (max - min);
+        
+        const barHeight = 30;
+        const y = bbox.top + bbox.height / 2 - barHeight / 2;
+        
+        // 배경
+        ctx.fillStyle = '#f0f0f0';
+        ctx.fillRect(bbox.left, y, bbox.width, barHeight);
+        
+        // 진행바
+        ctx.fillStyle = palette[0];
+        ctx.fillRect(bbox.left, y, bbox.width * percent, barHeight);
+        
+        // 텍스트
+        ctx.fillStyle = '#333';
+        ctx.font = '14px sans-serif';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(
+          `${value.toFixed(1)} / ${max}`,
+          bbox.left + bbox.width / 2,
+          y + barHeight / 2
+        );
+      }
+    }
+  };
+}
+
+// ========== 매핑 함수 (echartsAdapter의 buildOption과 유사) ==========
+function buildUplotConfig(type, raw) {
+  switch(type) {
+    case 'line': {
+      const xData = raw[0]?.data.map(d => d[0]) || [];
+      const seriesData = raw.map(s => s.data.map(d => d[1]));
+      
+      return {
+        data: [xData, ...seriesData],
+        series: [
+          { },
+          ...raw.map((s, i) => ({
+            label: s.name,
+            stroke: palette[i % palette.length],
+            width: 2,
+            points: { show: false }
+          }))
+        ],
+        axes: [
+          { scale: 'x', time: true },
+          { scale: 'y' }
+        ]
+      };
+    }
+    
+    case 'bar':
+    case 'pictorialBar': {
+      // pictorialBar raw: [{ name, value }] → bar 구조로 변환
+      const bar = type === 'pictorialBar'
+        ? { categories: raw.map(r => r.name), series: [{ name: 'Value', data: raw.map(r => r.value) }] }
+        : raw;
+      const xData = bar.categories.map((_, i) => i);
+      const seriesData = bar.series.map(s => s.data);
+      
+      return {
+        data: [xData, ...seriesData],
+        series: [
+          { },
+          ...bar.series.map((s, i) => ({
+            label: s.name,
+            stroke: palette[i % palette.length],
+            width: 2,
+            paths: () => null,
+            points: { show: false }
+          }))
+        ],
+        axes: [
+          { 
+            scale: 'x',
+            values: (u, vals) => vals.map(v => bar.categories[v] || '')
+          },
+          { scale: 'y' }
+        ],
+        plugins: [barPlugin()]
+      };
+    }
+    
+    case 'scatter': {
+      // uPlot 은 x 가 정렬돼 있다고 가정 (스케일 범위 = 첫/마지막 값) → x 기준 정렬
+      const sorted = [...raw].sort((a, b) => a[0] - b[0]);
+      const xData = sorted.map(p => p[0]);
+      const yData = sorted.map(p => p[1]);
+      
+      return {
+        data: [xData, yData],
+        series: [
+          { },
+          { 
+            label: 'Points',
+            stroke: palette[0],
+            width: 2,
+            fill: palette[0] + '20',
+            paths: () => null,
+            points: { show: false }
+          }
+        ],
+        scales: {
+          x: { time: false }
+        },
+        axes: [
+          { scale: 'x' },
+          { scale: 'y' }
+        ],
+        plugins: [scatterPlugin()]
+      };
+    }
+    
+    case 'pie': {
+      return {
+        data: [[0], [1]],
+        series: [
+          { label: 'X' },
+          { label: 'Pie', show: false }
+        ],
+        axes: [
+          { show: false },
+          { show: false }
+        ],
+        plugins: [piePlugin(raw)]
+      };
+    }
+    
+    case 'candlestick': {
+      const xData = raw.map(r => r[0]);
+      const openData = raw.map(r => r[1]);
+      const highData = raw.map(r => r[2]);
+      const lowData = raw.map(r => r[3]);
+      const closeData = raw.map(r => r[4]);
+      
+      return {
+        data: [xData, openData, highData, lowData, closeData],
+        series: [
+          { label: 'Time' },
+          { label: 'Open', show: false },
+          { label: 'High', show: false },
+          { label: 'Low', show: false },
+          { label: 'Close', show: false }
+        ],
+        axes: [
+          { scale: 'x', time: true },
+          { scale: 'y' }
+        ],
+        plugins: [candlestickPlugin()]
+      };
+    }
+    
+    case 'boxplot': {
+      const xData = raw.map((_, i) => i);
+      const minData = raw.map(r => r.value[0]);
+      const q1Data = raw.map(r => r.value[1]);
+      const medianData = raw.map(r => r.value[2]);
+      const q3Data = raw.map(r => r.value[3]);
+      const maxData = raw.map(r => r.value[4]);
+      
+      return {
+        data: [xData, minData, q1Data, medianData, q3Data, maxData],
+        series: [
+          { label: 'Groups' },
+          { label: 'Min', show: false },
+          { label: 'Q1', show: false },
+          { label: 'Median', show: false },
+          { label: 'Q3', show: false },
+          { label: 'Max', show: false }
+        ],
+        axes: [
+          { 
+            scale: 'x',
+            values: (u, vals) => vals.map(v => raw[v]?.name || `G${v+1}`)
+          },
+          { scale: 'y' }
+        ],
+        plugins: [boxplotPlugin()]
+      };
+    }
+    
+    case 'heatmap':
+    case 'matrix': {
+      const xData = raw.xLabels.map((_, i) => i);
+      const dummyData = new Array(xData.length).fill(0);
+      
+      return {
+        data: [xData, dummyData],
+        series: [
+          { label: 'X' },
+          { label: 'Heat', show: false }
+        ],
+        axes: [
+          { 
+            scale: 'x',
+            values: (u, vals) => vals.map(v => raw.xLabels[v] || '')
+          },
+          { 
+            scale: 'y',
+            values: (u, vals) => vals.map(v => raw.yLabels[v] || '')
+          }
+        ],
+        plugins: [heatmapPlugin(raw)]
+      };
+    }
+    
+    case 'funnel': {
+      const xData = raw.map((_, i) => i);
+      const yData = raw.map(r => r.value);
+      
+      return {
+        data: [xData, yData],
+        series: [
+          { label: 'Stages' },
+          { 
+            label: 'Value',
+            stroke: palette[0],
+            paths: () => null,
+            points: { show: false }
+          }
+        ],
+        axes: [
+          { 
+            scale: 'x',
+            values: (u, vals) => vals.map(v => raw[v]?.name || '')
+          },
+          { scale: 'y' }
+        ],
+        plugins: [barPlugin()]
+      };
+    }
+    
+    case 'gauge': {
+      return {
+        data: [[0], [raw.value]],
+        series: [
+          { label: 'X' },
+          { label: 'Gauge', show: false }
+        ],
+        axes: [
+          { show: false },
+          { show: false }
+        ],
+        plugins: [gaugePlugin(raw)]
+      };
+    }
+    
+    case 'calendar': {
+      const xData = raw.map(r => new Date(r[0]).getTime());
+      const yData = raw.map(r => r[1]);
+      
+      return {
+        data: [xData, yData],
+        series: [
+          { label: 'Date' },
+          { 
+            label: 'Value',
+            stroke: palette[0],
+            width: 2,
+            points: { show: false }
+          }
+        ],
+        axes: [
+          { scale: 'x', time: true },
+          { scale: 'y' }
+        ]
+      };
+    }
+    
+    default:
+      return null;
+  }
+}
+
+// 렌더 완료 신호: 첫 커밋은 ready, 이후 setData 등 재그리기는 draw (status 1 = ready 이후)
+function create(container, type, raw, { width, height }, rendered) {
+  const { data, ...config } = buildUplotConfig(type, raw);
+  const hooks = { ready: [() => rendered.fire()], draw: [u => { if (u.status === 1) rendered.fire(); }] };
+  // 목데이터 타임스탬프는 ms 단위 (uPlot 기본은 초)
+  return new uPlot({ width, height, ms: 1, ...config, hooks }, data, container);
+}
+
+export default {
+  id: 'uplot',
+  label: 'uPlot',
+  capabilities: { types: TYPES, renderers: ['canvas'], zoom: ['line','candlestick'], stream: ['line'] },
+  async load() {
+    if (!uPlot) {
+      uPlot = (await import('uplot')).default;
+      await import('uplot/dist/uPlot.min.css');
+    }
+    return uPlot;
+  },
+  async mount(container, { type, raw, width, height }) {
+    const rendered = createRenderSignal();
+    const done = rendered.next();
+    const instance = create(container, type, raw, { width, height }, rendered);
+    const timedOut = !(await done);
+    return { library: 'uplot', type, container, instance, rendered, timedOut };
+  },
+  async update(handle, raw) {
+    const done = handle.rendered.next();
+    if (DATA_ONLY_TYPES.includes(handle.type)) {
+      handle.instance.setData(buildUplotConfig(handle.type, raw).data);
+    } else {
+      const size = { width: handle.instance.width, height: handle.instance.height };
+      handle.instance.destroy();
+      handle.instance = create(handle.container, handle.type, raw, size, handle.rendered);
+    }
+    handle.timedOut = !(await done);
+  },
+  resize(handle, { width, height }) {
+    handle.instance.setSize({ width, height });
+  },
+  destroy(handle) {
+    handle.instance.destroy();
+  },
+  async zoom(handle, { min, max }) {
+    const done = handle.rendered.next();
+    handle.instance.setScale('x', { min, max });
+    handle.timedOut = !(await done);
+  },
+  // 컬럼 배열 [x, ...y] 에 이어 붙인 뒤 setData (x 범위 자동 갱신)
+  async append(handle, chunk, { window }) {
+    const added = [chunk[0].data.map(d => d[0]), ...chunk.map(s => s.data.map(d => d[1]))];
+    handle.instance.setData(handle.instance.data.map((col, i) => col.concat(added[i]).slice(-window)));
+  }
+};
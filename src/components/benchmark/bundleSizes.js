@@ -0,0 +1,20 @@
+// 빌드 시 측정한 번들 크기 매니페스트 (scripts/measure-bundles.js → public/bundle-sizes.json)
+// 매니페스트가 없으면(npm run bundle-sizes 미실행) null
+
+let manifestPromise = null;
+
+export function loadBundleSizes() {
+  if (!manifestPromise) {
+    // dev 서버는 없는 파일에 index.html 을 돌려주므로 JSON 파싱 실패도 null 처리
+    manifestPromise = fetch(`${import.meta.env.BASE_URL}bundle-sizes.json`)
+      .then(res => res.ok ? res.json() : null)
+      .catch(() => null);
+  }
+  return manifestPromise;
+}
+
+// 라이브러리 번들 크기 (KB, kind: 'raw' | 'gzip' | 'brotli')
+export function bundleSizeKB(manifest, library, kind = 'gzip') {
+  const entry = manifest?.libraries?.[library];
+  return entry ? Math.round(entry[kind] / 1024 * 10) / 10 : null;
+}
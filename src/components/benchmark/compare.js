@@ -0,0 +1,76 @@
+// 두 실행 비교: 라이브러리/타입/데이터셋/차트 크기 그룹별 지표 변화량과 Welch t 검정
+import { welchTTest } from './stats';
+import { parseRunFile } from './runFile';
+import { groupKey } from './report';
+
+function groupByKey(results, excludeFirst) {
+  const grouped = new Map();
+  results.forEach(r => {
+    const key = groupKey(r);
+    if (!grouped.has(key)) grouped.set(key, []);
+    grouped.get(key).push(r);
+  });
+  // 기록된 앞쪽 회차 제외 (최소 1개 유지)
+  grouped.forEach((group, key) => grouped.set(key, group.slice(Math.min(excludeFirst, group.length - 1))));
+  return grouped;
+}
+
+const mean = values => values.length ? values.reduce((sum, v) => sum + v, 0) / values.length : null;
+
+// metrics: [{ key, label, better: 'lower' | 'higher' }]
+// threshold: 회귀로 볼 변화율(%), alpha: 유의수준, excludeFirst: 그룹별로 통계에서 뺄 앞쪽 기록 회차 수
+// 반환: 양쪽 실행에 모두 있는 그룹 × 지표 한 줄씩
+export function compareRuns(base, target, { metrics, threshold = 5, alpha = 0.05, excludeFirst = 0 }) {
+  const baseGroups = groupByKey(base, excludeFirst);
+  const targetGroups = groupByKey(target, excludeFirst);
+  const rows = [];
+  baseGroups.forEach((baseGroup, key) => {
+    const targetGroup = targetGroups.get(key);
+    if (!targetGroup) return;
+    const { library, renderer, chartType, width, height, datasetParams } = baseGroup[0];
+    metrics.forEach(({ key: metric, label, better }) => {
+      const a = baseGroup.map(r => r[metric]).filter(Number.isFinite);
+      const b = targetGroup.map(r => r[metric]).filter(Number.isFinite);
+      const baseMean = mean(a);
+      const targetMean = mean(b);
+      if (baseMean == null || targetMean == null) return;
+      const delta = targetMean - baseMean;
+      const pct = baseMean !== 0 ? (delta / Math.abs(baseMean)) * 100 : null;
+      const test = welchTTest(a, b);
+      const significant = !!test && test.p < alpha;
+      // 나빠진 방향: 낮을수록 좋은 지표는 증가, 높을수록 좋은 지표는 감소
+      const worse = better === 'higher' ? delta < 0 : delta > 0;
+      const beyond = pct != null && Math.abs(pct) >= threshold;
+      rows.push({
+        library,
+        renderer,
+        chartType,
+        width,
+        height,
+        datasetParams,
+        metric,
+        label,
+        baseMean,
+        targetMean,
+        baseCount: a.length,
+        targetCount: b.length,
+        delta,
+        pct,
+        p: test ? test.p : null,
+        significant,
+        regression: worse && beyond && significant,
+        improvement: !worse && beyond && significant
+      });
+    });
+  });
+  return rows;
+}
+
+// 비교 기준으로 불러온 JSON 에서 측정 결과 배열 추출
+// (버전 있는 실행 파일은 스키마 검증, 그 외 결과 배열 / 저장 실행 레코드 형태)
+export function resultsFromJSON(json) {
+  if (json && json.format !== undefined) return parseRunFile(json).results;
+  if (Array.isArray(json)) return json;
+  if (json && Array.isArray(json.results)) return json.results;
+  throw new Error('비교 기준 JSON 에 results 배열이 없습니다');
+}
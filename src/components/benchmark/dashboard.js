@@ -0,0 +1,192 @@
+// 대시보드 부하 측정: 한 페이지에 여러 차트(타입 혼합)를 격자로 동시에 마운트
+// 전체 페인트까지 시간, 피크 힙, 스크롤 중 프레임 끊김, 화면 밖 차트 지연 마운트(IntersectionObserver) 효과
+import { paintBarrier } from './interaction';
+import { observeMainThread } from './mainThread';
+import { frameStats } from './streaming';
+
+// 셀 사이 간격 (px)
+const GAP = 8;
+
+// 라이브러리가 지원하는 타입을 번갈아 count 개 배치 (같은 타입이 몰리지 않도록)
+export function dashboardLayout(chartTypes, count) {
+  if (!chartTypes.length) return [];
+  return Array.from({ length: count }, (_, i) => chartTypes[i % chartTypes.length]);
+}
+
+// 측정 시작 대비 힙 증가량 최댓값 (rAF 마다 샘플, performance.memory 미지원 시 null)
+function trackPeakHeap() {
+  if (!performance.memory) return { stop: () => null };
+  const baseline = performance.memory.usedJSHeapSize;
+  let peak = baseline;
+  let running = true;
+  const sample = () => {
+    peak = Math.max(peak, performance.memory.usedJSHeapSize);
+    if (running) requestAnimationFrame(sample);
+  };
+  requestAnimationFrame(sample);
+  return {
+    stop() {
+      running = false;
+      peak = Math.max(peak, performance.memory.usedJSHeapSize);
+      return peak - baseline;
+    }
+  };
+}
+
+// 스크롤 영역을 프레임마다 step px 씩 끝까지 내리며 rAF 간격 기록
+function scrollThrough(viewport, step) {
+  return new Promise(resolve => {
+    const deltas = [];
+    let lastFrame = null;
+    const onFrame = time => {
+      if (lastFrame != null) deltas.push(time - lastFrame);
+      lastFrame = time;
+      const max = viewport.scrollHeight - viewport.clientHeight;
+      if (viewport.scrollTop >= max) {
+        resolve(deltas);
+        return;
+      }
+      viewport.scrollTop = Math.min(max, viewport.scrollTop + step);
+      requestAnimationFrame(onFrame);
+    };
+    requestAnimationFrame(onFrame);
+  });
+}
+
+// 스크롤 영역 안에서 cell 의 맨 위가 보이도록 스크롤
+function scrollToCell(viewport, cell) {
+  viewport.scrollTop += cell.getBoundingClientRect().top - viewport.getBoundingClientRect().top - GAP;
+}
+
+// charts: [{ type, raw }] (데이터 생성은 측정 제외), lazy: 화면에 들어온 셀만 마운트
+// container 안에 columns 열 격자를 만든 viewportHeight 높이의 스크롤 영역을 생성 → 측정 후 모두 해제
+// 반환: paintTime(처음 보이는 차트까지 페인트, 즉시 마운트는 전체), allPaintTime(모든 차트 페인트까지),
+//       mountedAtLoad, mounted, failed, peakMemory(KB), domNodes,
+//       스크롤 fps / droppedFrames / longestFrame / longTasks / totalBlockingTime
+// 지연 마운트의 allPaintTime: 스크롤 측정 후 모두 해제하고 다시 지연 로드 → 아직 안 그려진 셀을 차례로 스크롤해
+// 그 마운트 + 페인트를 기다린 시간까지 (스크롤 속도와 무관, 즉시 마운트는 paintTime 과 같음)
+export async function runDashboardLoad({ adapter, container, charts, columns, chartWidth, chartHeight, viewportHeight, scrollStep, lazy = false }) {
+  const viewport = document.createElement('div');
+  viewport.style.cssText = `width:${columns * (chartWidth + GAP) + GAP}px;height:${viewportHeight}px;overflow-y:auto;overflow-x:hidden`;
+  const grid = document.createElement('div');
+  grid.style.cssText = `display:grid;grid-template-columns:repeat(${columns}, ${chartWidth}px);grid-auto-rows:${chartHeight}px;gap:${GAP}px;padding:${GAP}px`;
+  const cells = charts.map(() => {
+    const cell = document.createElement('div');
+    cell.style.cssText = `width:${chartWidth}px;height:${chartHeight}px;overflow:hidden`;
+    grid.appendChild(cell);
+    return cell;
+  });
+  viewport.appendChild(grid);
+  container.appendChild(viewport);
+
+  const handles = [];
+  const pending = [];
+  const requested = new Set(); // 마운트를 시작한 셀 index
+  let failed = 0;
+  let observer = null;
+  const mountAt = index => {
+    requested.add(index);
+    const task = adapter.mount(cells[index], { type: charts[index].type, raw: charts[index].raw, width: chartWidth, height: chartHeight })
+      .then(handle => { handles.push(handle); }, error => {
+        failed++;
+        console.error(`대시보드 차트 마운트 실패 (${charts[index].type}):`, error);
+      });
+    pending.push(task);
+    return task;
+  };
+  // 화면에 들어온 셀을 마운트하는 관찰 시작 → 첫 교차 콜백(초기 화면 안 셀) 처리 후 resolve
+  const observeLazily = () => new Promise(resolve => {
+    let first = true;
+    observer = new IntersectionObserver(entries => {
+      entries.filter(entry => entry.isIntersecting).forEach(entry => {
+        observer.unobserve(entry.target);
+        mountAt(cells.indexOf(entry.target));
+      });
+      if (first) {
+        first = false;
+        resolve();
+      }
+    }, { root: viewport });
+    cells.forEach(cell => observer.observe(cell));
+  });
+  const destroyAll = async () => {
+    await Promise.all(pending);
+    handles.splice(0).forEach(handle => {
+      try { adapter.destroy(handle); } catch (e) { console.warn('대시보드 차트 정리 실패:', e); }
+    });
+  };
+
+  const heap = trackPeakHeap();
+  try {
+    // 초기 로드: 즉시 마운트는 전체를 동시에, 지연 마운트는 첫 교차 콜백(화면 안 셀)만
+    const start = performance.now();
+    if (lazy) {
+      await observeLazily();
+    } else {
+      charts.forEach((_, index) => mountAt(index));
+    }
+    await Promise.all(pending);
+    await paintBarrier();
+    const paintTime = performance.now() - start;
+    const mountedAtLoad = pending.length;
+
+    // 스크롤: 지연 마운트는 이 구간에 나머지 차트가 마운트되므로 그 비용이 끊김에 포함됨
+    const mainThread = observeMainThread();
+    const deltas = await scrollThrough(viewport, scrollStep);
+    await paintBarrier(); // 마지막 스크롤 위치의 교차 콜백까지 처리
+    await Promise.all(pending);
+    await paintBarrier();
+    const blocking = await mainThread.stop();
+    const { fps, droppedFrames, longestFrame } = frameStats(deltas);
+    const domNodes = grid.querySelectorAll('*').length;
+    const peakMemory = heap.stop();
+    const mounted = handles.length;
+    const failedMounts = failed; // 다시 로드하며 같은 실패가 또 세어지지 않도록 여기까지
+
+    let allPaintTime = paintTime;
+    if (lazy) {
+      observer.disconnect();
+      await destroyAll();
+      cells.forEach(cell => { cell.innerHTML = ''; });
+      pending.length = 0;
+      requested.clear();
+      viewport.scrollTop = 0;
+      await paintBarrier();
+
+      const reloadStart = performance.now();
+      await observeLazily();
+      await Promise.all(pending);
+      await paintBarrier();
+      for (let index = 0; index < cells.length; index++) {
+        if (requested.has(index)) continue;
+        scrollToCell(viewport, cells[index]);
+        await paintBarrier(); // 교차 콜백 → 마운트 시작
+        await Promise.all(pending);
+        await paintBarrier();
+      }
+      allPaintTime = performance.now() - reloadStart;
+    }
+
+    return {
+      charts: charts.length,
+      paintTime,
+      allPaintTime,
+      mountedAtLoad,
+      mounted,
+      failed: failedMounts,
+      peakMemory: peakMemory == null ? null : peakMemory / 1024,
+      domNodes,
+      fps,
+      droppedFrames,
+      longestFrame,
+      longTasks: blocking.longTasks,
+      totalBlockingTime: blocking.totalBlockingTime
+    };
+  } finally {
+    heap.stop();
+    observer?.disconnect();
+    // 스크롤 도중 실패로 빠져나와도 진행 중인 마운트가 끝난 뒤 해제
+    await destroyAll();
+    viewport.remove();
+  }
+}
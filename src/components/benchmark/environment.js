@@ -0,0 +1,15 @@
+// 측정 환경 정보 (결과 해석/비교용)
+export function collectEnvironment() {
+  return {
+    userAgent: navigator.userAgent,
+    platform: navigator.platform,
+    language: navigator.language,
+    hardwareConcurrency: navigator.hardwareConcurrency ?? null,
+    deviceMemory: navigator.deviceMemory ?? null, // GB (Chrome 전용)
+    devicePixelRatio: window.devicePixelRatio,
+    screen: { width: window.screen.width, height: window.screen.height },
+    viewport: { width: window.innerWidth, height: window.innerHeight },
+    heapLimit: performance.memory ? performance.memory.jsHeapSizeLimit : null,
+    gcExposed: !!window.gc
+  };
+}
@@ -0,0 +1,73 @@
+// 벤치마크 실행 기록 저장소 (IndexedDB, 브라우저 로컬)
+// run: { id, name, tags, createdAt, config, environment, results, skipped }
+
+const DB_NAME = 'chart-benchmark';
+const DB_VERSION = 1;
+const STORE = 'runs';
+
+let dbPromise = null;
+
+function openDB() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(STORE, { keyPath: 'id', autoIncrement: true });
+        store.createIndex('createdAt', 'createdAt');
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    // 실패 시 다음 호출에서 재시도
+    dbPromise.catch(() => { dbPromise = null; });
+  }
+  return dbPromise;
+}
+
+// 단일 요청 트랜잭션 실행 → 요청 결과
+async function withStore(mode, fn) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, mode);
+    const request = fn(tx.objectStore(STORE));
+    tx.oncomplete = () => resolve(request.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+export function saveRun(run) {
+  return withStore('readwrite', store => store.add({ tags: [], ...run, createdAt: run.createdAt || new Date().toISOString() }));
+}
+
+export function getRun(id) {
+  return withStore('readonly', store => store.get(id));
+}
+
+// 목록용 요약 (최신순, 측정 결과 본문 제외)
+export async function listRuns() {
+  const runs = await withStore('readonly', store => store.getAll());
+  return runs
+    .map(({ results = [], skipped = [], ...run }) => ({
+      ...run,
+      resultCount: results.length,
+      libraries: [...new Set(results.map(r => r.library))],
+      chartTypes: [...new Set(results.map(r => r.chartType))],
+      skippedCount: skipped.length
+    }))
+    // 검증 전 버전으로 가져온 기록은 createdAt 이 문자열이 아닐 수 있음
+    .sort((a, b) => String(b.createdAt ?? '').localeCompare(String(a.createdAt ?? '')));
+}
+
+// 이름/태그 등 일부 필드만 갱신
+export async function updateRun(id, patch) {
+  const run = await getRun(id);
+  if (!run) throw new Error(`Benchmark run not found: ${id}`);
+  const { id: _id, ...changes } = patch;
+  await withStore('readwrite', store => store.put({ ...run, ...changes }));
+  return { ...run, ...changes };
+}
+
+export function deleteRun(id) {
+  return withStore('readwrite', store => store.delete(id));
+}
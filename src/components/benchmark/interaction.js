@@ -0,0 +1,62 @@
+// 상호작용 응답성 측정 (tooltip / hover / crosshair)
+import { summarize } from './stats';
+
+// 다음 프레임이 그려진 직후 시각
+// rAF 콜백은 라이브러리가 이벤트 처리 중 예약한 rAF(다시 그리기) 뒤에 실행되고,
+// 그 직후 MessageChannel 메시지는 페인트 이후에 처리됨
+export function afterNextPaint() {
+  return new Promise(resolve => {
+    requestAnimationFrame(frameTime => {
+      const channel = new MessageChannel();
+      channel.port1.onmessage = () => resolve({ frameTime, paintedAt: performance.now() });
+      channel.port2.postMessage(null);
+    });
+  });
+}
+
+// 이중 rAF 페인트 배리어: 두 번째 rAF 콜백 시점이면 직전 프레임의 페인트가 끝난 상태
+export function paintBarrier() {
+  return new Promise(resolve => requestAnimationFrame(() => requestAnimationFrame(() => resolve(performance.now()))));
+}
+
+// 브라우저처럼 pointermove → mousemove 순으로 발생 (ECharts 는 pointer, 나머지는 mouse 이벤트 사용)
+function dispatchMove(target, clientX, clientY) {
+  const init = { clientX, clientY, bubbles: true, cancelable: true, view: window };
+  target.dispatchEvent(new PointerEvent('pointermove', { ...init, pointerType: 'mouse', isPrimary: true }));
+  target.dispatchEvent(new MouseEvent('mousemove', init));
+}
+
+// 영역 밖으로 나간 것처럼 처리 (다음 측정에 tooltip 이 남지 않도록)
+function dispatchLeave(target) {
+  const init = { bubbles: true, view: window, relatedTarget: document.body };
+  target.dispatchEvent(new PointerEvent('pointerout', { ...init, pointerType: 'mouse' }));
+  target.dispatchEvent(new MouseEvent('mouseout', init));
+  target.dispatchEvent(new MouseEvent('mouseleave', { ...init, bubbles: false }));
+}
+
+// 차트 영역을 가로지르는 합성 mousemove 시퀀스를 보내고,
+// 이벤트 발생 → 다음 페인트 완료까지의 지연을 이동마다 측정
+export async function measureHoverLatency(container, { moves = 30 } = {}) {
+  container.scrollIntoView({ block: 'nearest' });
+  const rect = container.getBoundingClientRect();
+  const latencies = [];
+  let target = container;
+
+  for (let i = 0; i < moves; i++) {
+    const x = rect.left + rect.width * (0.1 + 0.8 * i / Math.max(1, moves - 1));
+    const y = rect.top + rect.height * (0.5 + (i % 2 ? 0.05 : -0.05));
+    // 라이브러리마다 리스너가 붙은 요소가 다르므로 해당 좌표의 실제 요소로 전달
+    target = document.elementFromPoint(x, y) || container;
+
+    await afterNextPaint(); // 프레임 경계에 맞춘 뒤 시작
+    const start = performance.now();
+    dispatchMove(target, x, y);
+    const { paintedAt } = await afterNextPaint();
+    latencies.push(paintedAt - start);
+  }
+
+  dispatchLeave(target);
+
+  const stats = summarize(latencies);
+  return { mean: stats.mean, p95: stats.p95, samples: latencies };
+}
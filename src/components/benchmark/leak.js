@@ -0,0 +1,106 @@
+// 메모리 누수 검사: 같은 차트를 반복 마운트/해제하며 힙 추세, 남은 리스너, 분리된 DOM 노드 확인
+import { linearRegression } from './stats';
+import { paintBarrier } from './interaction';
+
+// 현재 JS 힙 사용량 (bytes, Chrome 전용 / 미지원 시 null)
+// --js-flags=--expose-gc 로 실행하면 측정 전 GC 를 강제해 잔존 메모리만 남김
+function heapUsed() {
+  if (window.gc) window.gc();
+  return performance.memory ? performance.memory.usedJSHeapSize : null;
+}
+
+// 검사 중 등록/해제된 이벤트 리스너 추적 (EventTarget 프로토타입 임시 패치)
+// 대상 노드와 리스너(차트 인스턴스를 클로저로 붙잡음)는 WeakRef 로만 보관 → 추적이 측정 대상 메모리를 살려두지 않음
+function trackListeners() {
+  const proto = EventTarget.prototype;
+  const { addEventListener, removeEventListener } = proto;
+  const active = new Set();
+  const captureOf = options => typeof options === 'boolean' ? options : !!options?.capture;
+  proto.addEventListener = function (type, listener, options) {
+    if (listener) active.add({ target: new window.WeakRef(this), type, listener: new window.WeakRef(listener), capture: captureOf(options) });
+    return addEventListener.call(this, type, listener, options);
+  };
+  proto.removeEventListener = function (type, listener, options) {
+    const capture = captureOf(options);
+    for (const entry of active) {
+      if (entry.target.deref() === this && entry.type === type && entry.listener.deref() === listener && entry.capture === capture) {
+        active.delete(entry);
+        break;
+      }
+    }
+    return removeEventListener.call(this, type, listener, options);
+  };
+  return {
+    active,
+    restore() {
+      proto.addEventListener = addEventListener;
+      proto.removeEventListener = removeEventListener;
+    }
+  };
+}
+
+// 분리(detached) 여부: window/document 는 항상 연결된 것으로 봄
+const isDetached = target => target instanceof Node && target !== document && !target.isConnected;
+
+// 해제 후에도 남은 리스너: window/document 에 남은 것, 분리된 노드에 남은 것 (이미 수거된 대상은 누수 아님)
+// 분리 노드 쪽은 GC 를 강제한 뒤에만 의미 있음 (GC 전에는 곧 수거될 노드의 리스너까지 세어짐) → gcForced 가 아니면 null
+function summarizeListeners(active, gcForced) {
+  const leftover = Array.from(active, entry => ({ ...entry, target: entry.target.deref() })).filter(entry => entry.target);
+  const global = leftover.filter(entry => entry.target === window || entry.target === document);
+  const detached = gcForced ? leftover.filter(entry => isDetached(entry.target)) : [];
+  return {
+    globalListeners: global.length,
+    detachedListeners: gcForced ? detached.length : null,
+    listenerTypes: [...new Set([...global, ...detached].map(entry => entry.type))]
+  };
+}
+
+// cycles 회 mount → 페인트 → destroy 반복, 매 회 후 힙 샘플
+// 앞쪽 warmup 회차(모듈 초기화/캐시 생성)는 기울기 계산에서 제외
+export async function runLeakCheck({ adapter, container, chartType, raw, width, height, cycles, warmup = Math.ceil(cycles * 0.1), onCycle }) {
+  const heap = [];
+  const tracker = trackListeners();
+  let nodeRefs = [];
+  try {
+    for (let i = 0; i < cycles; i++) {
+      // 마운트/페인트 도중 실패해도 이미 만든 차트는 해제
+      let handle = null;
+      try {
+        handle = await adapter.mount(container, { type: chartType, raw, width, height });
+        await paintBarrier();
+        // 마지막 회차에 생성된 노드만 추적 (해제 후에도 참조가 남는지 확인)
+        if (i === cycles - 1) nodeRefs = Array.from(container.querySelectorAll('*'), node => new window.WeakRef(node));
+      } finally {
+        if (handle) adapter.destroy(handle);
+        container.innerHTML = '';
+      }
+      heap.push(heapUsed());
+      onCycle?.(i + 1);
+      // 타이머/rAF 로 지연된 정리 작업이 끝나도록 양보
+      if (i % 10 === 9) await new Promise(resolve => setTimeout(resolve, 0));
+    }
+  } finally {
+    tracker.restore();
+  }
+
+  // GC 를 강제할 수 있을 때만 분리 노드 / 분리 노드 리스너 잔존 수가 의미 있음
+  const gcForced = !!window.gc;
+  if (gcForced) window.gc();
+  const listeners = summarizeListeners(tracker.active, gcForced);
+  tracker.active.clear();
+
+  const detachedNodes = window.gc ? nodeRefs.filter(ref => ref.deref() && !ref.deref().isConnected).length : null;
+
+  const samples = heap.map((bytes, cycle) => ({ cycle: cycle + 1, kb: bytes == null ? null : bytes / 1024 }));
+  const fitted = samples.slice(warmup).filter(sample => sample.kb != null);
+  const fit = linearRegression(fitted.map(s => s.cycle), fitted.map(s => s.kb));
+
+  return {
+    cycles,
+    samples,
+    slope: fit ? fit.slope : null, // KB / 회
+    r2: fit ? fit.r2 : null,
+    ...listeners,
+    detachedNodes
+  };
+}
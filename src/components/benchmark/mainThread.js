@@ -0,0 +1,46 @@
+// 메인 스레드 블로킹 측정: long task(>50ms), 총 블로킹 시간(TBT), 최장 프레임
+import { afterNextPaint } from './interaction';
+
+// long task 기준 (Long Tasks API 와 동일)
+const LONG_TASK_MS = 50;
+
+export const longTaskSupported = () => typeof PerformanceObserver !== 'undefined' && (PerformanceObserver.supportedEntryTypes || []).includes('longtask');
+
+// 측정 시작 → stop() 으로 구간 요약
+// long task 미지원 브라우저(Safari/Firefox)는 longTasks / totalBlockingTime 이 null (최장 프레임은 rAF 간격으로 항상 측정)
+export function observeMainThread() {
+  const durations = [];
+  let observer = null;
+  if (longTaskSupported()) {
+    observer = new PerformanceObserver(list => list.getEntries().forEach(entry => durations.push(entry.duration)));
+    observer.observe({ type: 'longtask' });
+  }
+
+  let running = true;
+  let lastFrame = null;
+  let longestFrame = 0;
+  const onFrame = time => {
+    if (lastFrame != null) longestFrame = Math.max(longestFrame, time - lastFrame);
+    lastFrame = time;
+    if (running) requestAnimationFrame(onFrame);
+  };
+  requestAnimationFrame(onFrame);
+
+  return {
+    async stop() {
+      // long task 엔트리는 태스크가 끝난 뒤 비동기로 전달되므로 한 프레임 뒤 수거
+      await afterNextPaint();
+      running = false;
+      if (observer) {
+        observer.takeRecords().forEach(entry => durations.push(entry.duration));
+        observer.disconnect();
+      }
+      return {
+        longTasks: observer ? durations.length : null,
+        totalBlockingTime: observer ? durations.reduce((sum, d) => sum + Math.max(0, d - LONG_TASK_MS), 0) : null,
+        longestTask: observer ? Math.max(0, ...durations) : null,
+        longestFrame
+      };
+    }
+  };
+}
@@ -0,0 +1,106 @@
+// 측정 지표 정의 + 결과 CSV 직렬화 (화면 내보내기 / 헤드리스 러너 공용, 순수 함수)
+
+// 통계 요약 / 실행 비교 대상 지표 (better: 좋은 방향)
+export const STAT_METRICS = [
+  { key: 'renderTime', label: '렌더링 시간(ms)', better: 'lower' },
+  { key: 'dataProcessingTime', label: '데이터 처리(ms)', better: 'lower' },
+  { key: 'memoryUsage', label: '메모리(KB)', better: 'lower' },
+  { key: 'fps', label: 'FPS', better: 'higher' },
+  { key: 'updateTime', label: '업데이트(ms)', better: 'lower' },
+  { key: 'longTasks', label: 'Long task 수', better: 'lower' },
+  { key: 'totalBlockingTime', label: 'TBT(ms)', better: 'lower' },
+  { key: 'longestFrame', label: '최장 프레임(ms)', better: 'lower' },
+  { key: 'hoverLatency', label: 'Hover 지연(ms)', better: 'lower' },
+  { key: 'hoverLatencyP95', label: 'Hover p95(ms)', better: 'lower' }
+];
+
+// 라이브러리 + 렌더러 표시명 (렌더러 기록이 없는 이전 실행은 라이브러리만)
+export const libraryLabel = ({ library, renderer }) => renderer ? `${library} (${renderer})` : library;
+
+// 차트 크기 표시명 (크기 기록이 없는 이전 실행은 '-')
+export const sizeLabel = ({ width, height }) => width ? `${width}×${height}` : '-';
+
+// 라이브러리/렌더러/타입/데이터셋/차트 크기 별 그룹 키
+// (DPR 은 실행 단위 설정이라 키에서 제외 → DPR 만 다른 실행끼리 비교 가능)
+export const groupKey = r => JSON.stringify([r.library, r.renderer ?? null, r.chartType, r.datasetParams, r.width ?? null, r.height ?? null]);
+
+const datasetLabel = params => Object.entries(params).map(([key, value]) => `${key}:${value}`).join(' | '); // 파이프로 구분
+
+const toCSV = rows => rows.map(row => row.join(',')).join('\n');
+
+const RESULT_HEADERS = [
+  'Library', 'Renderer', 'Chart Type', 'Width', 'Height', 'DPR', 'Iteration', 'Order', 'Dataset', 'Data Points', 'Render Time (ms)',
+  'DOM Nodes', 'Bundle Size (KB gzip)', 'Data Processing (ms)',
+  'Memory Usage (KB)', 'FPS', 'Update Time (ms)', 'Long Tasks', 'Total Blocking Time (ms)', 'Longest Task (ms)', 'Longest Frame (ms)', 'Hover Latency (ms)', 'Hover p95 (ms)', 'FCP (ms)', 'LCP (ms)', 'TTI (ms)'
+];
+
+// 회차별 원본 측정값 (미지원/실패 조합은 측정값 열에 N/A / ERROR)
+export function resultsToCSV(results, skipped = []) {
+  const rows = results.map(result => [
+    result.library,
+    result.renderer ?? '',
+    result.chartType,
+    result.width ?? '',
+    result.height ?? '',
+    result.pixelRatio ?? '', // 실제 적용된 devicePixelRatio
+    result.iteration,
+    result.order ?? '', // 전역 실행 순서
+    datasetLabel(result.datasetParams),
+    result.dataPoints,
+    result.renderTime,
+    result.domNodes,
+    result.bundleSize ?? '',
+    result.dataProcessingTime,
+    result.memoryUsage ?? '',
+    result.fps,
+    result.updateTime,
+    result.longTasks ?? '',
+    result.totalBlockingTime ?? '',
+    result.longestTask ?? '',
+    result.longestFrame,
+    result.hoverLatency ?? '',
+    result.hoverLatencyP95 ?? '',
+    result.webVitals?.fcp ?? '',
+    result.webVitals?.lcp ?? '',
+    result.webVitals?.tti ?? ''
+  ]);
+
+  const skippedRows = skipped.map(item => [
+    item.library,
+    item.renderer ?? '',
+    item.chartType,
+    item.width ?? '',
+    item.height ?? '',
+    '',
+    '',
+    '',
+    datasetLabel(item.datasetParams),
+    '',
+    item.status,
+    ...Array(RESULT_HEADERS.length - 11).fill('')
+  ]);
+
+  return toCSV([RESULT_HEADERS, ...rows, ...skippedRows]);
+}
+
+const SUMMARY_HEADERS = [
+  'Library', 'Renderer', 'Chart Type', 'Width', 'Height', 'Dataset', 'Metric', 'N', 'Mean', 'Min', 'Median',
+  'P90', 'P95', 'Max', 'StdDev', 'CI95 Low', 'CI95 High', 'Outliers (IQR)'
+];
+
+// 그룹 × 지표 통계 요약 (rows: { library, renderer, chartType, width, height, datasetParams, metric, stats, outliers })
+export function summaryToCSV(rows) {
+  const round = v => Math.round(v * 100) / 100;
+  return toCSV([SUMMARY_HEADERS, ...rows.map(({ library, renderer, chartType, width, height, datasetParams, metric, stats, outliers }) => [
+    library,
+    renderer ?? '',
+    chartType,
+    width ?? '',
+    height ?? '',
+    datasetLabel(datasetParams),
+    metric,
+    stats.count,
+    ...[stats.mean, stats.min, stats.median, stats.p90, stats.p95, stats.max, stats.stddev, stats.ci95[0], stats.ci95[1]].map(round),
+    outliers ?? ''
+  ])]);
+}
@@ -0,0 +1,30 @@
+// 리사이즈 응답성 측정: 컨테이너 너비를 범위 안에서 왕복시키며 리사이즈 1회당 다시 그리기 시간 측정
+import { summarize } from './stats';
+import { afterNextPaint } from './interaction';
+import { observeMainThread } from './mainThread';
+
+// from → to → from 왕복 너비 목록 (steps: 편도 단계 수, 시작 너비는 제외)
+export function resizeWidths(from, to, steps) {
+  if (!(steps > 0) || from === to) return [];
+  const out = [];
+  for (let i = 1; i <= steps; i++) out.push(Math.round(from + (to - from) * i / steps));
+  for (let i = steps - 1; i >= 0; i--) out.push(Math.round(from + (to - from) * i / steps));
+  return out;
+}
+
+// 각 단계: 프레임 경계에서 시작 → 컨테이너 너비 변경 + adapter.resize → 다음 페인트까지
+// (AdapterChart 의 ResizeObserver 경로와 같은 순서, 같은 프레임에 레이아웃과 다시 그리기가 함께 반영)
+export async function measureResize(adapter, handle, container, widths, height) {
+  const samples = [];
+  const mainThread = observeMainThread();
+  for (const width of widths) {
+    await afterNextPaint();
+    const start = performance.now();
+    container.style.width = `${width}px`;
+    await adapter.resize(handle, { width, height });
+    const { paintedAt } = await afterNextPaint();
+    samples.push({ width, time: paintedAt - start });
+  }
+  const blocking = await mainThread.stop();
+  return { resize: summarize(samples.map(sample => sample.time)), samples, ...blocking };
+}
@@ -0,0 +1,47 @@
+// 긴 측정 실행 제어 (일시정지 / 재개 / 중지)
+// 측정 루프가 회차 사이마다 checkpoint() 를 기다리므로 진행 중인 회차는 끝까지 측정·정리된 뒤 멈춤
+export function createRunControl() {
+  let state = 'running'; // running | paused | cancelled
+  let wake = null;
+
+  const release = () => {
+    if (wake) { wake(); wake = null; }
+  };
+
+  return {
+    get state() { return state; },
+    pause() {
+      if (state === 'running') state = 'paused';
+    },
+    resume() {
+      if (state !== 'paused') return;
+      state = 'running';
+      release();
+    },
+    cancel() {
+      state = 'cancelled';
+      release();
+    },
+    // 일시정지 중이면 재개/중지까지 대기 → 계속 진행 가능하면 true
+    async checkpoint() {
+      while (state === 'paused') await new Promise(resolve => { wake = resolve; });
+      return state === 'running';
+    }
+  };
+}
+
+// 남은 예상 시간 (관측한 회차당 평균 소요 × 남은 회차)
+export function estimateRemaining(durations, remaining) {
+  if (!durations.length) return null;
+  return durations.reduce((sum, ms) => sum + ms, 0) / durations.length * remaining;
+}
+
+export function formatDuration(ms) {
+  const seconds = Math.max(0, Math.round(ms / 1000));
+  const h = Math.floor(seconds / 3600);
+  const m = Math.floor(seconds % 3600 / 60);
+  const s = seconds % 60;
+  if (h) return `${h}시간 ${m}분`;
+  if (m) return `${m}분 ${s}초`;
+  return `${s}초`;
+}
@@ -0,0 +1,84 @@
+// 실행 기록 JSON 파일 형식 (내보내기/가져오기, 재현·비교용 원본 보존)
+// { format, version, exportedAt, run: { name, tags, createdAt, config, environment, results, skipped, coldStarts, cancelled } }
+
+export const RUN_FILE_FORMAT = 'chart-benchmark-run';
+export const RUN_FILE_VERSION = 1;
+
+export function serializeRun(run) {
+  const { name, tags = [], createdAt, config, environment, results = [], skipped = [], coldStarts = [], cancelled = false } = run;
+  return {
+    format: RUN_FILE_FORMAT,
+    version: RUN_FILE_VERSION,
+    exportedAt: new Date().toISOString(),
+    run: { name, tags, createdAt, config, environment, results, skipped, coldStarts, cancelled }
+  };
+}
+
+const isObject = v => v !== null && typeof v === 'object' && !Array.isArray(v);
+const isNumberOrNull = v => v == null || Number.isFinite(v);
+// ISO 날짜 문자열 (기록 목록이 문자열 비교로 정렬하므로 숫자/객체는 허용하지 않음)
+const isTimestamp = v => typeof v === 'string' && !Number.isNaN(Date.parse(v));
+
+// 측정값 필드 (없거나 null 허용, 있으면 유한한 숫자)
+const NUMERIC_FIELDS = [
+  'order', 'width', 'height', 'pixelRatio', 'dataPoints', 'dataProcessingTime', 'memoryUsage', 'fps', 'updateTime', 'longTasks',
+  'totalBlockingTime', 'longestTask', 'longestFrame', 'hoverLatency', 'hoverLatencyP95', 'bundleSize'
+];
+
+function validateResult(result, index) {
+  const at = `results[${index}]`;
+  if (!isObject(result)) throw new Error(`${at} 가 객체가 아닙니다`);
+  if (typeof result.library !== 'string') throw new Error(`${at}.library 가 문자열이 아닙니다`);
+  if (typeof result.chartType !== 'string') throw new Error(`${at}.chartType 이 문자열이 아닙니다`);
+  if (!isObject(result.datasetParams)) throw new Error(`${at}.datasetParams 가 객체가 아닙니다`);
+  if (!Number.isFinite(result.iteration)) throw new Error(`${at}.iteration 이 숫자가 아닙니다`);
+  if (!Number.isFinite(result.renderTime)) throw new Error(`${at}.renderTime 이 숫자가 아닙니다`);
+  const invalid = NUMERIC_FIELDS.find(key => !isNumberOrNull(result[key]));
+  if (invalid) throw new Error(`${at}.${invalid} 가 숫자가 아닙니다`);
+}
+
+function validateConfig(config) {
+  if (!isObject(config)) throw new Error('run.config 가 객체가 아닙니다');
+  if (!Number.isFinite(config.iterations)) throw new Error('run.config.iterations 가 숫자가 아닙니다');
+  if (!Array.isArray(config.libraries)) throw new Error('run.config.libraries 가 배열이 아닙니다');
+  if (!Array.isArray(config.chartTypes)) throw new Error('run.config.chartTypes 가 배열이 아닙니다');
+  if (!isObject(config.datasets)) throw new Error('run.config.datasets 가 객체가 아닙니다');
+  if (config.seed != null && typeof config.seed !== 'string') throw new Error('run.config.seed 가 문자열이 아닙니다');
+}
+
+// 파일 내용 검증 → 저장 가능한 실행 레코드 (id 제외)
+export function parseRunFile(json) {
+  if (!isObject(json) || json.format !== RUN_FILE_FORMAT) {
+    throw new Error(`벤치마크 실행 파일이 아닙니다 (format: ${RUN_FILE_FORMAT} 필요)`);
+  }
+  if (!Number.isInteger(json.version) || json.version < 1 || json.version > RUN_FILE_VERSION) {
+    throw new Error(`지원하지 않는 파일 버전입니다: ${json.version} (지원: ${RUN_FILE_VERSION} 이하)`);
+  }
+  const run = json.run;
+  if (!isObject(run)) throw new Error('run 이 객체가 아닙니다');
+  validateConfig(run.config);
+  if (!isObject(run.environment)) throw new Error('run.environment 가 객체가 아닙니다');
+  if (!Array.isArray(run.results)) throw new Error('run.results 가 배열이 아닙니다');
+  run.results.forEach(validateResult);
+  if (run.skipped != null && !Array.isArray(run.skipped)) throw new Error('run.skipped 가 배열이 아닙니다');
+  if (run.coldStarts != null && !Array.isArray(run.coldStarts)) throw new Error('run.coldStarts 가 배열이 아닙니다');
+  if (run.tags != null && !(Array.isArray(run.tags) && run.tags.every(tag => typeof tag === 'string'))) {
+    throw new Error('run.tags 가 문자열 배열이 아닙니다');
+  }
+
+  // 실행 시각: run.createdAt → 내보낸 시각 → 가져온 시각 순으로 유효한 ISO 문자열 사용
+  const exportedAt = isTimestamp(json.exportedAt) ? json.exportedAt : null;
+  const createdAt = isTimestamp(run.createdAt) ? run.createdAt : exportedAt || new Date().toISOString();
+
+  return {
+    name: typeof run.name === 'string' && run.name ? run.name : `가져온 실행 ${exportedAt || ''}`.trim(),
+    tags: run.tags || [],
+    createdAt,
+    config: run.config,
+    environment: run.environment,
+    results: run.results,
+    skipped: run.skipped || [],
+    coldStarts: run.coldStarts || [],
+    cancelled: run.cancelled === true // 중지로 끝난 부분 결과
+  };
+}
@@ -0,0 +1,78 @@
+// 측정 실행 순서: 순차 실행은 JIT 워밍업 / GC 누적 / 발열 스로틀링이 특정 라이브러리에 유리하게 작용하므로
+// 회차를 교차(라운드 로빈)하거나 시드 셔플해 순서 편향을 줄임
+import { createGenerator } from '../mockData';
+import { linearRegression } from './stats';
+
+export const EXECUTION_ORDERS = [
+  { id: 'sequential', label: '순차 (조합별 연속)' },
+  { id: 'roundRobin', label: '라운드 로빈 (회차마다 교차)' },
+  { id: 'shuffle', label: '시드 셔플' }
+];
+
+// 조합별 회차를 순서 방식대로 나열
+function orderRuns(cells, iterations, order, seed) {
+  const runs = [];
+  switch (order) {
+    case 'sequential':
+      cells.forEach(cell => {
+        for (let i = 1; i <= iterations; i++) runs.push({ cell, iteration: i });
+      });
+      return runs;
+    case 'roundRobin':
+      for (let i = 1; i <= iterations; i++) {
+        cells.forEach(cell => runs.push({ cell, iteration: i }));
+      }
+      return runs;
+    case 'shuffle': {
+      const shuffled = orderRuns(cells, iterations, 'sequential');
+      const { randInt } = createGenerator(seed === '' ? seed : `${seed}:order`);
+      for (let i = shuffled.length - 1; i > 0; i--) {
+        const j = randInt(0, i);
+        [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+      }
+      // 조합 안에서는 실행 순서대로 회차 번호를 다시 매김 (기록된 앞쪽 회차 제외(excludeFirst)가 먼저 실행된 회차에 적용되도록)
+      const counts = new Map();
+      return shuffled.map(({ cell }) => {
+        counts.set(cell, (counts.get(cell) || 0) + 1);
+        return { cell, iteration: counts.get(cell) };
+      });
+    }
+    default:
+      throw new Error(`Unknown execution order: ${order}`);
+  }
+}
+
+// cells: 측정 조합 객체 배열 ({ library, chartType, renderer, ... }) → 실행할 측정 목록 [{ cell, iteration, warmup? }]
+// (cell 은 넘겨받은 객체 그대로, 조합별 집계에 Map 키로 사용 가능)
+// shuffle 은 seed 가 같으면 같은 순서 (데이터 시드와 섞이지 않도록 파생 시드 사용, 비우면 매번 무작위)
+// warmup: 조합별 워밍업 회차 수 (실행하지만 기록하지 않음). 순차는 각 조합 바로 앞, 교차/셔플은 전체 앞에 라운드 로빈으로 배치
+export function buildSchedule(cells, iterations, order = 'sequential', seed = '', warmup = 0) {
+  const runs = orderRuns(cells, iterations, order, seed);
+  if (!(warmup > 0)) return runs;
+  const warmupRuns = orderRuns(cells, warmup, order === 'sequential' ? 'sequential' : 'roundRobin').map(run => ({ ...run, warmup: true }));
+  if (order !== 'sequential') return [...warmupRuns, ...runs];
+  return cells.flatMap(cell => [...warmupRuns, ...runs].filter(run => run.cell === cell));
+}
+
+// 그룹별 실행 순서(전역 order) ↔ 지표 값 직선 적합: 기울기가 크고 R² 가 높으면 순서가 결과에 영향
+// groups: 측정 결과 그룹 배열 → [{ library, chartType, renderer, width, height, datasetParams, first, last, slope, r2 }]
+export function orderEffect(groups, metric) {
+  return groups.map(group => {
+    const samples = group.filter(r => Number.isFinite(r.order) && Number.isFinite(r[metric]));
+    const fit = linearRegression(samples.map(r => r.order), samples.map(r => r[metric]));
+    if (!fit) return null;
+    const { library, chartType, renderer, width, height, datasetParams } = group[0];
+    return {
+      library,
+      chartType,
+      renderer,
+      width,
+      height,
+      datasetParams,
+      first: Math.min(...samples.map(r => r.order)),
+      last: Math.max(...samples.map(r => r.order)),
+      slope: fit.slope,
+      r2: fit.r2
+    };
+  }).filter(Boolean);
+}
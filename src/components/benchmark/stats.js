@@ -0,0 +1,137 @@
+// 벤치마크 통계 유틸 (순수 함수)
+
+// 정렬된 배열의 분위수 (선형 보간, q: 0~1)
+export function quantile(sorted, q) {
+  if (!sorted.length) return NaN;
+  const pos = (sorted.length - 1) * q;
+  const lo = Math.floor(pos);
+  const hi = Math.ceil(pos);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+}
+
+// 양측 95% t 분포 임계값 (자유도 1~30, 이후 정규근사 1.96)
+const T_95 = [
+  12.706, 4.303, 3.182, 2.776, 2.571, 2.447, 2.365, 2.306, 2.262, 2.228,
+  2.201, 2.179, 2.160, 2.145, 2.131, 2.120, 2.110, 2.101, 2.093, 2.086,
+  2.080, 2.074, 2.069, 2.064, 2.060, 2.056, 2.052, 2.048, 2.045, 2.042
+];
+export function tCritical95(df) {
+  if (df < 1) return NaN;
+  return T_95[Math.floor(df) - 1] ?? 1.96;
+}
+
+// IQR 기반 이상치 경계 (Q1 - k·IQR, Q3 + k·IQR)
+export function iqrBounds(values, k = 1.5) {
+  const sorted = values.filter(Number.isFinite).sort((a, b) => a - b);
+  const q1 = quantile(sorted, 0.25);
+  const q3 = quantile(sorted, 0.75);
+  const iqr = q3 - q1;
+  return { lower: q1 - k * iqr, upper: q3 + k * iqr };
+}
+
+export function isOutlier(value, bounds) {
+  return value < bounds.lower || value > bounds.upper;
+}
+
+// 기술 통계 요약 (표본 표준편차, 평균의 95% 신뢰구간)
+export function summarize(values) {
+  const sorted = values.filter(Number.isFinite).sort((a, b) => a - b);
+  const count = sorted.length;
+  if (!count) return null;
+  const mean = sorted.reduce((sum, v) => sum + v, 0) / count;
+  const variance = count > 1 ? sorted.reduce((sum, v) => sum + (v - mean) ** 2, 0) / (count - 1) : 0;
+  const stddev = Math.sqrt(variance);
+  const margin = count > 1 ? tCritical95(count - 1) * stddev / Math.sqrt(count) : 0;
+  return {
+    count,
+    mean,
+    min: sorted[0],
+    median: quantile(sorted, 0.5),
+    p90: quantile(sorted, 0.9),
+    p95: quantile(sorted, 0.95),
+    max: sorted[count - 1],
+    stddev,
+    ci95: [mean - margin, mean + margin]
+  };
+}
+
+// 최소제곱 직선 적합 y = intercept + slope·x (r2: 결정계수)
+export function linearRegression(xs, ys) {
+  const n = Math.min(xs.length, ys.length);
+  if (n < 2) return null;
+  const meanX = xs.slice(0, n).reduce((sum, v) => sum + v, 0) / n;
+  const meanY = ys.slice(0, n).reduce((sum, v) => sum + v, 0) / n;
+  let sxx = 0, sxy = 0, syy = 0;
+  for (let i = 0; i < n; i++) {
+    sxx += (xs[i] - meanX) ** 2;
+    sxy += (xs[i] - meanX) * (ys[i] - meanY);
+    syy += (ys[i] - meanY) ** 2;
+  }
+  if (sxx === 0) return null;
+  const slope = sxy / sxx;
+  return { slope, intercept: meanY - slope * meanX, r2: syy === 0 ? 1 : (sxy * sxy) / (sxx * syy) };
+}
+
+// ln Γ(x) (Lanczos 근사)
+const LANCZOS = [76.18009172947146, -86.50532032941678, 24.01409824083091, -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5];
+function logGamma(x) {
+  let y = x;
+  const tmp = x + 5.5 - (x + 0.5) * Math.log(x + 5.5);
+  let ser = 1.000000000190015;
+  for (const c of LANCZOS) ser += c / ++y;
+  return -tmp + Math.log(2.5066282746310007 * ser / x);
+}
+
+// 정규화 불완전 베타 함수 I_x(a, b) (연분수 전개)
+function betaContinuedFraction(x, a, b) {
+  const EPS = 3e-14;
+  const TINY = 1e-300;
+  let c = 1;
+  let d = 1 - (a + b) * x / (a + 1);
+  if (Math.abs(d) < TINY) d = TINY;
+  d = 1 / d;
+  let h = d;
+  for (let m = 1; m <= 200; m++) {
+    const m2 = 2 * m;
+    let aa = m * (b - m) * x / ((a + m2 - 1) * (a + m2));
+    d = 1 + aa * d; if (Math.abs(d) < TINY) d = TINY;
+    c = 1 + aa / c; if (Math.abs(c) < TINY) c = TINY;
+    d = 1 / d; h *= d * c;
+    aa = -(a + m) * (a + b + m) * x / ((a + m2) * (a + m2 + 1));
+    d = 1 + aa * d; if (Math.abs(d) < TINY) d = TINY;
+    c = 1 + aa / c; if (Math.abs(c) < TINY) c = TINY;
+    d = 1 / d;
+    const delta = d * c;
+    h *= delta;
+    if (Math.abs(delta - 1) < EPS) break;
+  }
+  return h;
+}
+
+export function incompleteBeta(x, a, b) {
+  if (x <= 0) return 0;
+  if (x >= 1) return 1;
+  const front = Math.exp(logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x));
+  return x < (a + 1) / (a + b + 2)
+    ? front * betaContinuedFraction(x, a, b) / a
+    : 1 - front * betaContinuedFraction(1 - x, b, a) / b;
+}
+
+// Welch t 검정 (등분산 가정 없음, 양측 p-value)
+// 표본이 2개 미만이거나 두 그룹 모두 분산 0 이면 null
+export function welchTTest(a, b) {
+  const xs = a.filter(Number.isFinite);
+  const ys = b.filter(Number.isFinite);
+  if (xs.length < 2 || ys.length < 2) return null;
+  const mean = v => v.reduce((sum, x) => sum + x, 0) / v.length;
+  const variance = (v, m) => v.reduce((sum, x) => sum + (x - m) ** 2, 0) / (v.length - 1);
+  const mx = mean(xs);
+  const my = mean(ys);
+  const vx = variance(xs, mx) / xs.length;
+  const vy = variance(ys, my) / ys.length;
+  if (vx + vy === 0) return null;
+  const t = (my - mx) / Math.sqrt(vx + vy);
+  const df = (vx + vy) ** 2 / (vx ** 2 / (xs.length - 1) + vy ** 2 / (ys.length - 1));
+  const p = incompleteBeta(df / (df + t * t), df / 2, 0.5);
+  return { t, df, p };
+}
@@ -0,0 +1,51 @@
+// 실시간 스트리밍 측정: 고정 주기로 K 포인트씩 추가하며 지속 FPS / 프레임 드롭 / 갱신 시간 측정
+import { summarize } from './stats';
+
+// 60Hz 기준 한 프레임 (ms)
+const FRAME_MS = 1000 / 60;
+
+// 프레임 간격 목록 → 지속 FPS, 드롭 프레임 수 (간격이 n 프레임이면 n-1 개 드롭)
+export function frameStats(deltas) {
+  const total = deltas.reduce((sum, d) => sum + d, 0);
+  const fps = total > 0 ? deltas.length * 1000 / total : 0;
+  const droppedFrames = deltas.reduce((sum, d) => sum + Math.max(0, Math.round(d / FRAME_MS) - 1), 0);
+  return { fps, droppedFrames, longestFrame: deltas.length ? Math.max(...deltas) : 0 };
+}
+
+// tickMs 마다 next(pointsPerTick) → adapter.append, duration 동안 반복
+// 갱신 시간은 append 호출 자체(동기 렌더 포함), FPS 는 같은 기간의 rAF 간격으로 계산
+export async function runStream(adapter, handle, { next, pointsPerTick, tickMs, duration, window }) {
+  const updateTimes = [];
+  const deltas = [];
+  let running = true;
+  let lastFrame = null;
+  const onFrame = time => {
+    if (lastFrame != null) deltas.push(time - lastFrame);
+    lastFrame = time;
+    if (running) requestAnimationFrame(onFrame);
+  };
+  requestAnimationFrame(onFrame);
+
+  const start = performance.now();
+  let ticks = 0;
+  while (performance.now() - start < duration) {
+    const chunk = next(pointsPerTick); // 데이터 생성은 측정 제외
+    const t0 = performance.now();
+    await adapter.append(handle, chunk, { window });
+    updateTimes.push(performance.now() - t0);
+    ticks++;
+    // 다음 틱 예정 시각까지 대기 (갱신이 주기보다 길면 바로 다음 틱)
+    const wait = start + ticks * tickMs - performance.now();
+    await new Promise(resolve => setTimeout(resolve, Math.max(0, wait)));
+  }
+  running = false;
+
+  const elapsed = performance.now() - start;
+  return {
+    ...frameStats(deltas),
+    update: summarize(updateTimes),
+    ticks,
+    // 주기를 못 맞춰 밀린 틱 수 (예정 틱 수 - 실제 틱 수)
+    missedTicks: Math.max(0, Math.floor(elapsed / tickMs) - ticks)
+  };
+}
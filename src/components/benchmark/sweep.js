@@ -0,0 +1,75 @@
+// 데이터 크기 스윕: 포인트 수를 키워가며 라이브러리별 한계(시간 예산 초과/오류) 지점 탐색
+
+// 포인트 수로 크기를 조절할 수 있는 타입
+export const SWEEP_TYPES = ['line', 'scatter', 'candlestick', 'bar', 'heatmap', 'matrix', 'calendar', 'pictorialBar'];
+
+// 스윕 범위 검증 → 오류 문구 (올바르면 null)
+export function sweepRangeError(start, end, factor) {
+  if (!(start > 0)) return '시작 포인트는 1 이상이어야 합니다';
+  if (!(end >= start)) return `최대 포인트(${end})가 시작 포인트(${start})보다 작습니다`;
+  if (!(factor > 1)) return '증가 배수는 1 보다 커야 합니다';
+  return null;
+}
+
+// start → end 까지 factor 배씩 증가하는 크기 목록 (end 포함, 범위가 잘못되면 빈 목록)
+export function sweepSizes(start, end, factor) {
+  const sizes = [];
+  if (sweepRangeError(start, end, factor)) return sizes;
+  for (let n = start; n < end; n *= factor) sizes.push(Math.round(n));
+  sizes.push(end);
+  return sizes;
+}
+
+// 목표 포인트 수 → 생성기 파라미터 (나머지 파라미터는 base 유지)
+export function paramsForPoints(chartType, points, base = {}) {
+  switch (chartType) {
+    case 'line': return { ...base, points: Math.ceil(points / (base.series || 1)) };
+    case 'bar': return { ...base, categories: Math.ceil(points / (base.series || 1)) };
+    case 'scatter':
+    case 'candlestick': return { ...base, points };
+    case 'heatmap':
+    case 'matrix': return { ...base, x: Math.ceil(points / (base.y || 1)) };
+    case 'calendar': return { ...base, days: points };
+    case 'pictorialBar': return { ...base, categories: points };
+    default: throw new Error(`Sweep not supported for chart type: ${chartType}`);
+  }
+}
+
+// 라이브러리별로 크기를 키우며 측정, 예산 초과 또는 오류 시 해당 라이브러리 중단
+// measure(library, chartType, params) → 결과 객체 (renderTime, dataPoints, memoryUsage) 또는 실패 시 null
+export async function runSweep({ libraries, chartType, sizes, budget, repeats = 1, baseParams, measure, onProgress }) {
+  const report = [];
+  for (const library of libraries) {
+    const entry = { library, samples: [], maxPoints: 0, stopReason: 'completed' };
+    for (const size of sizes) {
+      onProgress?.({ library, size });
+      const params = paramsForPoints(chartType, size, baseParams);
+      const times = [];
+      const memory = [];
+      let dataPoints = size;
+      for (let i = 0; i < repeats; i++) {
+        const result = await measure(library, chartType, params);
+        if (!result) break;
+        times.push(result.renderTime);
+        if (Number.isFinite(result.memoryUsage)) memory.push(result.memoryUsage);
+        dataPoints = result.dataPoints;
+      }
+      if (times.length < repeats) {
+        entry.stopReason = 'error';
+        entry.failedAt = dataPoints;
+        break;
+      }
+      // 반복 측정의 중앙값 사용 (원본 값은 결과 차트의 평균/중앙값 전환용으로 보관)
+      const renderTime = [...times].sort((a, b) => a - b)[Math.floor(times.length / 2)];
+      entry.samples.push({ points: dataPoints, renderTime, renderTimes: times, memoryUsages: memory });
+      if (renderTime > budget) {
+        entry.stopReason = 'budget';
+        entry.failedAt = dataPoints;
+        break;
+      }
+      entry.maxPoints = dataPoints;
+    }
+    report.push(entry);
+  }
+  return report;
+}
@@ -0,0 +1,53 @@
+// 줌/팬 처리량 측정: x축 범위를 단계적으로 바꾸며 조작 1회당 다시 그리기 시간 측정
+import { summarize } from './stats';
+import { afterNextPaint } from './interaction';
+
+// 시간 x축을 갖는 타입 (모든 어댑터의 zoom 대상)
+export const ZOOM_TYPES = ['line', 'candlestick'];
+
+// raw 데이터의 x(시간) 범위
+export function xExtent(chartType, raw) {
+  switch (chartType) {
+    case 'line': {
+      const data = raw[0]?.data || [];
+      return [data[0]?.[0] ?? 0, data[data.length - 1]?.[0] ?? 0];
+    }
+    case 'candlestick': return [raw[0]?.[0] ?? 0, raw[raw.length - 1]?.[0] ?? 0];
+    default: throw new Error(`Zoom not supported for chart type: ${chartType}`);
+  }
+}
+
+// 조작 순서: 앞 절반은 가운데 기준 점점 확대(100% → 10%), 뒤 절반은 확대 상태로 왼쪽 → 오른쪽 이동
+export function zoomPanSteps([min, max], steps) {
+  const span = max - min;
+  const zoomCount = Math.ceil(steps / 2);
+  const panCount = steps - zoomCount;
+  const out = [];
+  for (let i = 1; i <= zoomCount; i++) {
+    const width = span * (1 - 0.9 * i / zoomCount);
+    const center = min + span / 2;
+    out.push({ op: 'zoom', min: center - width / 2, max: center + width / 2 });
+  }
+  const width = span * 0.1;
+  for (let i = 0; i < panCount; i++) {
+    const left = min + (span - width) * (panCount > 1 ? i / (panCount - 1) : 0);
+    out.push({ op: 'pan', min: left, max: left + width });
+  }
+  return out;
+}
+
+// 각 조작: 프레임 경계에서 시작 → adapter.zoom (렌더 완료 신호까지) → 다음 페인트까지
+// 신호 없이 timeout 으로 끝난 조작은 시간이 timeout 값이므로 제외하고 수만 집계
+export async function measureZoomPan(adapter, handle, steps) {
+  const times = { zoom: [], pan: [] };
+  let timedOut = 0;
+  for (const { op, min, max } of steps) {
+    await afterNextPaint();
+    const start = performance.now();
+    await adapter.zoom(handle, { min, max });
+    const { paintedAt } = await afterNextPaint();
+    if (handle.timedOut) timedOut++;
+    else times[op].push(paintedAt - start);
+  }
+  return { zoom: summarize(times.zoom), pan: summarize(times.pan), samples: times, timedOut };
+}
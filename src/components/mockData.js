@@ -1,12 +1,40 @@
 // 다양한 차트 유형 목데이터 (지정된 18종: line, bar, pie, scatter, candlestick, radar, boxplot, heatmap, graph, tree, treemap, sunburst, sankey, funnel, gauge, pictorialBar, calendar, matrix)
 // 불필요했던 이전 생성기 제거/미사용 처리. 필요한 것만 재정의.
 
-// 공통 랜덤
-const rand = (min, max) => Math.random() * (max - min) + min;
-const randInt = (min, max) => Math.floor(rand(min, max + 1));
+// 시드 사용 시 기준 시각 고정 (Date.now() 를 쓰면 같은 시드라도 타임스탬프가 달라짐)
+const SEED_EPOCH = Date.UTC(2024, 0, 1);
+
+// 시드 → 32bit 정수 (숫자/문자열 시드 모두 허용)
+// 항상 문자열로 정규화해 해시 → 42 와 '42' (UI 입력 / 헤드리스 설정) 가 같은 데이터
+function hashSeed(seed) {
+  const str = String(seed);
+  let h = 2166136261;
+  for (let i = 0; i < str.length; i++) { h ^= str.charCodeAt(i); h = Math.imul(h, 16777619); }
+  return h >>> 0;
+}
+
+// mulberry32 PRNG: 0 <= x < 1
+function mulberry32(a) {
+  return () => {
+    a = (a + 0x6D2B79F5) | 0;
+    let t = Math.imul(a ^ (a >>> 15), 1 | a);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// 공통 랜덤 (seed 없으면 Math.random + 현재 시각)
+const hasSeed = seed => seed != null && seed !== '';
+function createRandom(seed) {
+  const next = hasSeed(seed) ? mulberry32(hashSeed(seed)) : Math.random;
+  const rand = (min, max) => next() * (max - min) + min;
+  const randInt = (min, max) => Math.floor(rand(min, max + 1));
+  const now = hasSeed(seed) ? () => SEED_EPOCH : () => Date.now();
+  return { rand, randInt, now };
+}
 
 // line (time series)
-export function generateLine({ series = 2, points = 200, start = Date.now() - points * 60_000, interval = 60_000, min = 0, max = 100, volatility = 10 } = {}) {
+function line({ rand, now }, { series = 2, points = 200, start = now() - points * 60_000, interval = 60_000, min = 0, max = 100, volatility = 10 } = {}) {
   const out = [];
   for (let s = 0; s < series; s++) {
     let base = rand(min, max);
@@ -22,7 +50,7 @@ export function generateLine({ series = 2, points = 200, start = Date.now() - po
 }
 
 // bar (category multi series)
-export function generateBar({ categories = 8, series = 2, min = 10, max = 120 } = {}) {
+function bar({ rand }, { categories = 8, series = 2, min = 10, max = 120 } = {}) {
   const cats = Array.from({ length: categories }, (_, i) => `C${i + 1}`);
   const ser = Array.from({ length: series }, (_, s) => ({
     name: `S${s + 1}`,
@@ -32,12 +60,12 @@ export function generateBar({ categories = 8, series = 2, min = 10, max = 120 }
 }
 
 // pie
-export function generatePie({ slices = 6, min = 10, max = 200 } = {}) {
+function pie({ rand }, { slices = 6, min = 10, max = 200 } = {}) {
   return Array.from({ length: slices }, (_, i) => ({ name: `Slice${i + 1}`, value: Number(rand(min, max).toFixed(2)) }));
 }
 
 // scatter
-export function generateScatter({ points = 500, clusters = 3, spread = 50, centerRange = 200 } = {}) {
+function scatter({ rand }, { points = 500, clusters = 3, spread = 50, centerRange = 200 } = {}) {
   const centers = Array.from({ length: clusters }, () => [rand(-centerRange, centerRange), rand(-centerRange, centerRange)]);
   const data = [];
   for (let i = 0; i < points; i++) {
@@ -51,7 +79,7 @@ export function generateScatter({ points = 500, clusters = 3, spread = 50, cente
 }
 
 // candlestick (OHLC)
-export function generateCandlestick({ points = 120, start = Date.now() - 120 * 86_400_000, interval = 86_400_000, base = 100, volatility = 2 } = {}) {
+function candlestick({ rand, now }, { points = 120, start = now() - 120 * 86_400_000, interval = 86_400_000, base = 100, volatility = 2 } = {}) {
   const data = [];
   let price = base;
   for (let i = 0; i < points; i++) {
@@ -67,14 +95,14 @@ export function generateCandlestick({ points = 120, start = Date.now() - 120 * 8
 }
 
 // radar
-export function generateRadar({ axes = 6, series = 3, min = 0, max = 100 } = {}) {
+function radar({ rand }, { axes = 6, series = 3, min = 0, max = 100 } = {}) {
   const indicators = Array.from({ length: axes }, (_, i) => ({ name: `Dim${i + 1}`, max }));
   const data = Array.from({ length: series }, (_, s) => ({ name: `R${s + 1}`, value: indicators.map(() => Number(rand(min, max).toFixed(2))) }));
   return { indicators, series: data };
 }
 
 // boxplot
-export function generateBoxplot({ groups = 5, samples = 30, min = 0, max = 100 } = {}) {
+function boxplot({ rand }, { groups = 5, samples = 30, min = 0, max = 100 } = {}) {
   const out = [];
   for (let g = 0; g < groups; g++) {
     const arr = Array.from({ length: samples }, () => rand(min, max)).sort((a, b) => a - b);
@@ -90,7 +118,7 @@ export function generateBoxplot({ groups = 5, samples = 30, min = 0, max = 100 }
 }
 
 // heatmap (matrix style but semantic heatmap)
-export function generateHeatmap({ x = 12, y = 7, min = 0, max = 100 } = {}) {
+function heatmap({ rand }, { x = 12, y = 7, min = 0, max = 100 } = {}) {
   const xLabels = Array.from({ length: x }, (_, i) => `X${i + 1}`);
   const yLabels = Array.from({ length: y }, (_, i) => `Y${i + 1}`);
   const data = [];
@@ -100,11 +128,8 @@ export function generateHeatmap({ x = 12, y = 7, min = 0, max = 100 } = {}) {
   return { xLabels, yLabels, data };
 }
 
-// matrix (generic row/col/value) -> 동일 구조 alias
-export const generateMatrix = generateHeatmap;
-
 // graph (force / network)
-export function generateGraph({ nodes = 30, extraLinks = 20 } = {}) {
+function graph({ randInt }, { nodes = 30, extraLinks = 20 } = {}) {
   const nodeArr = Array.from({ length: nodes }, (_, i) => ({ id: `N${i}`, name: `Node ${i}`, value: randInt(1, 10) }));
   const links = [];
   for (let i = 1; i < nodes; i++) links.push({ source: `N${randInt(0, i - 1)}`, target: `N${i}`, value: randInt(1, 5) });
@@ -115,11 +140,11 @@ export function generateGraph({ nodes = 30, extraLinks = 20 } = {}) {
 }
 
 // tree / treemap / sunburst 공통
-function buildTree(depth, breadth, level = 0, prefix = 'T') {
+function buildTree(randInt, depth, breadth, level = 0, prefix = 'T') {
   if (depth === 0) return [];
   return Array.from({ length: breadth }, (_, i) => {
     const name = `${prefix}${level}-${i}`;
-    const children = buildTree(depth - 1, breadth, level + 1, prefix);
+    const children = buildTree(randInt, depth - 1, breadth, level + 1, prefix);
     const value = children.length ? undefined : randInt(10, 100);
     const node = { name };
     if (children.length) node.children = children;
@@ -127,12 +152,10 @@ function buildTree(depth, breadth, level = 0, prefix = 'T') {
     return node;
   });
 }
-export function generateTree({ depth = 3, breadth = 3 } = {}) { return { name: 'root', children: buildTree(depth, breadth) }; }
-export const generateTreemap = generateTree;
-export const generateSunburst = generateTree;
+function tree({ randInt }, { depth = 3, breadth = 3 } = {}) { return { name: 'root', children: buildTree(randInt, depth, breadth) }; }
 
 // sankey
-export function generateSankey({ nodes = 8, links = 15, min = 1, max = 50 } = {}) {
+function sankey({ randInt }, { nodes = 8, links = 15, min = 1, max = 50 } = {}) {
   const nodeArr = Array.from({ length: nodes }, (_, i) => ({ name: `N${i}` }));
   const linkArr = [];
   while (linkArr.length < links) {
@@ -144,25 +167,25 @@ export function generateSankey({ nodes = 8, links = 15, min = 1, max = 50 } = {}
 }
 
 // funnel
-export function generateFunnel({ stages = 5, startValue = 1000, drop = 0.25 } = {}) {
+function funnel({ rand }, { stages = 5, startValue = 1000, drop = 0.25 } = {}) {
   let current = startValue; const data = [];
   for (let i = 0; i < stages; i++) { data.push({ name: `Stage${i + 1}`, value: Math.round(current) }); current *= (1 - drop * rand(0.8, 1.2)); }
   return data;
 }
 
 // gauge (단일 값)
-export function generateGauge({ min = 0, max = 100 } = {}) {
+function gauge({ rand }, { min = 0, max = 100 } = {}) {
   return { value: Number(rand(min, max).toFixed(2)), min, max };
 }
 
 // pictorialBar (심볼 형태 카테고리 값)
-export function generatePictorialBar({ categories = 6, min = 10, max = 150 } = {}) {
+function pictorialBar({ rand }, { categories = 6, min = 10, max = 150 } = {}) {
   const cats = Array.from({ length: categories }, (_, i) => `P${i + 1}`);
   return cats.map(c => ({ name: c, value: Number(rand(min, max).toFixed(2)) }));
 }
 
 // calendar (YYYY-MM-DD -> value)
-export function generateCalendar({ days = 90, startDate = new Date(Date.now() - 90 * 86_400_000), min = 0, max = 100 } = {}) {
+function calendar({ rand, now }, { days = 90, startDate = new Date(now() - 90 * 86_400_000), min = 0, max = 100 } = {}) {
   const data = [];
   for (let i = 0; i < days; i++) {
     const d = new Date(startDate.getTime() + i * 86_400_000);
@@ -171,42 +194,120 @@ export function generateCalendar({ days = 90, startDate = new Date(Date.now() -
   return data;
 }
 
-// 타입 → 생성기 매핑
+// 타입 → 생성기 매핑 (matrix 는 heatmap, treemap/sunburst 는 tree 와 동일 구조)
 const GENERATORS = {
-  line: generateLine,
-  bar: generateBar,
-  pie: generatePie,
-  scatter: generateScatter,
-  candlestick: generateCandlestick,
-  radar: generateRadar,
-  boxplot: generateBoxplot,
-  heatmap: generateHeatmap,
-  graph: generateGraph,
-  tree: generateTree,
-  treemap: generateTreemap,
-  sunburst: generateSunburst,
-  sankey: generateSankey,
-  funnel: generateFunnel,
-  gauge: generateGauge,
-  pictorialBar: generatePictorialBar,
-  calendar: generateCalendar,
-  matrix: generateMatrix
+  line,
+  bar,
+  pie,
+  scatter,
+  candlestick,
+  radar,
+  boxplot,
+  heatmap,
+  graph,
+  tree,
+  treemap: tree,
+  sunburst: tree,
+  sankey,
+  funnel,
+  gauge,
+  pictorialBar,
+  calendar,
+  matrix: heatmap
 };
 
+export const MOCK_TYPES = Object.keys(GENERATORS);
+
+// 시드 고정 생성기: 같은 seed + 같은 호출 순서 → 동일 데이터
+// usage: const gen = createGenerator(42); gen.generateLine({ points:100 }); gen.buildMock('bar'); gen.randInt(0, 9)
+export function createGenerator(seed) {
+  const rng = createRandom(seed);
+  const run = (type, config = {}) => {
+    const gen = GENERATORS[type];
+    if (!gen) throw new Error(`Unknown mock type: ${type}`);
+    return gen(rng, config);
+  };
+  const named = {};
+  MOCK_TYPES.forEach(type => { named[`generate${type[0].toUpperCase()}${type.slice(1)}`] = config => run(type, config); });
+  return { seed, ...named, buildMock: run, randInt: rng.randInt };
+}
+
+const defaultGenerator = createGenerator();
+
+export const generateLine = defaultGenerator.generateLine;
+export const generateBar = defaultGenerator.generateBar;
+export const generatePie = defaultGenerator.generatePie;
+export const generateScatter = defaultGenerator.generateScatter;
+export const generateCandlestick = defaultGenerator.generateCandlestick;
+export const generateRadar = defaultGenerator.generateRadar;
+export const generateBoxplot = defaultGenerator.generateBoxplot;
+export const generateHeatmap = defaultGenerator.generateHeatmap;
+export const generateGraph = defaultGenerator.generateGraph;
+export const generateTree = defaultGenerator.generateTree;
+export const generateTreemap = defaultGenerator.generateTreemap;
+export const generateSunburst = defaultGenerator.generateSunburst;
+export const generateSankey = defaultGenerator.generateSankey;
+export const generateFunnel = defaultGenerator.generateFunnel;
+export const generateGauge = defaultGenerator.generateGauge;
+export const generatePictorialBar = defaultGenerator.generatePictorialBar;
+export const generateCalendar = defaultGenerator.generateCalendar;
+export const generateMatrix = defaultGenerator.generateMatrix;
+
 // 단일 타입 생성
+// config.seed 지정 시 매 호출마다 새 시드 생성기 사용 → 라이브러리/호출 순서와 무관하게 동일 데이터
 export function buildMock(type, config = {}) {
-  const gen = GENERATORS[type];
-  if (!gen) throw new Error(`Unknown mock type: ${type}`);
-  return gen(config);
+  const { seed, ...params } = config;
+  if (!hasSeed(seed)) return defaultGenerator.buildMock(type, params);
+  return createGenerator(seed).buildMock(type, params);
+}
+
+// 생성된 데이터의 요소 수 (시계열/산점도 포인트, 셀, 노드+링크 등)
+export function countPoints(type, raw) {
+  const countTree = node => 1 + (node.children || []).reduce((sum, child) => sum + countTree(child), 0);
+  switch (type) {
+    case 'line': return raw.reduce((sum, s) => sum + s.data.length, 0);
+    case 'bar': return raw.categories.length * raw.series.length;
+    case 'radar': return raw.indicators.length * raw.series.length;
+    case 'heatmap':
+    case 'matrix': return raw.data.length;
+    case 'graph':
+    case 'sankey': return raw.nodes.length + raw.links.length;
+    case 'tree':
+    case 'treemap':
+    case 'sunburst': return countTree(raw) - 1; // root 제외
+    case 'gauge': return 1;
+    default: return Array.isArray(raw) ? raw.length : 0;
+  }
+}
+
+// 실시간 스트림: 기존 line 데이터의 마지막 시각/값에서 이어지는 포인트를 k개씩 생성
+// usage: const stream = createLineStream(raw, { seed: 42 }); stream.next(10) → line 구조 [{ name, data }]
+export function createLineStream(initial, { seed, interval = 60_000, min = 0, max = 100, volatility = 10 } = {}) {
+  const { rand } = createRandom(seed);
+  const state = initial.map(s => {
+    const last = s.data[s.data.length - 1];
+    return { name: s.name, time: last ? last[0] : 0, value: last ? last[1] : rand(min, max) };
+  });
+  const next = k => state.map(s => {
+    const data = [];
+    for (let i = 0; i < k; i++) {
+      s.time += interval;
+      s.value = Math.min(max, Math.max(min, s.value + rand(-volatility, volatility)));
+      data.push([s.time, Number(s.value.toFixed(2))]);
+    }
+    return { name: s.name, data };
+  });
+  return { next };
 }
 
 // 다중 타입 선택 생성 (성능 위해 요청된 것만)
-// usage: buildMockBundle([ 'line', { type:'bar', config:{ categories:12 }} ])
-export function buildMockBundle(requests = []) {
+// usage: buildMockBundle([ 'line', { type:'bar', config:{ categories:12 }} ], { seed: 42 })
+// seed 지정 시 각 항목은 buildMock(type, { ...config, seed }) 결과와 동일
+export function buildMockBundle(requests = [], { seed } = {}) {
   const bundle = {};
   requests.forEach(r => {
-    if (typeof r === 'string') bundle[r] = buildMock(r, {});
-    else if (r && typeof r === 'object') bundle[r.type] = buildMock(r.type, r.config || {});
+    if (typeof r === 'string') bundle[r] = buildMock(r, { seed });
+    else if (r && typeof r === 'object') bundle[r.type] = buildMock(r.type, { seed, ...(r.config || {}) });
   });
   return bundle;
 }
@@ -230,6 +331,9 @@ export default {
   generatePictorialBar,
   generateCalendar,
   generateMatrix,
+  createGenerator,
+  createLineStream,
+  countPoints,
   buildMock,
   buildMockBundle
 };